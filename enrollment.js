@@ -0,0 +1,464 @@
+const { ObjectId } = require("mongodb");
+
+// How long a student can hold a seat while paying at checkout
+const CHECKOUT_HOLD_MINUTES = parseInt(process.env.CHECKOUT_HOLD_MINUTES) || 30;
+
+// How long a waitlisted student has to pay once a seat is offered
+const WAITLIST_HOLD_HOURS = parseInt(process.env.WAITLIST_HOLD_HOURS) || 24;
+
+// Aggregation expression for the number of seats taken in a class,
+// enrolled students plus unexpired seat holds other than the given student's
+const takenSeatsExpression = (studentUid = null) => ({
+  $add: [
+    { $size: { $ifNull: ["$enrolledStudents", []] } },
+    {
+      $size: {
+        $filter: {
+          input: { $ifNull: ["$seatHolds", []] },
+          cond: {
+            $and: [
+              { $gt: ["$$this.expiresAt", "$$NOW"] },
+              { $ne: ["$$this.studentUid", studentUid] },
+            ],
+          },
+        },
+      },
+    },
+  ],
+});
+
+// Query condition for a class that still has a free seat for the student
+const hasFreeSeatCondition = (studentUid = null) => ({
+  $expr: {
+    $or: [
+      { $eq: [{ $ifNull: ["$maxStudents", null] }, null] },
+      { $lt: [takenSeatsExpression(studentUid), "$maxStudents"] },
+    ],
+  },
+});
+
+// Currency every class is priced and charged in
+const PAYMENT_CURRENCY = (process.env.PAYMENT_CURRENCY || "usd").toLowerCase();
+
+// Why a PaymentIntent cannot pay for a student's enrollment in a class, null
+// when it matches. The amount is checked against the price the server put in
+// the metadata at checkout, clients cannot change PaymentIntent metadata and
+// the class price may have changed since
+const paymentIntentMismatch = (paymentIntent, classData, studentUid) => {
+  const { metadata = {} } = paymentIntent;
+
+  if (
+    metadata.classId !== classData._id.toString() ||
+    metadata.studentUid !== studentUid
+  ) {
+    return "Payment was made for a different class or student";
+  }
+
+  if (paymentIntent.currency !== PAYMENT_CURRENCY) {
+    return "Payment currency does not match";
+  }
+
+  // PaymentIntents created before the final amount was stored fall back to
+  // the current class price
+  const expectedAmount =
+    metadata.finalAmount !== undefined
+      ? Math.round(parseFloat(metadata.finalAmount) * 100)
+      : Math.round(
+          (parseFloat(classData.price) -
+            (parseFloat(metadata.discountAmount) || 0)) *
+            100
+        );
+
+  if (paymentIntent.amount !== expectedAmount) {
+    return "Payment amount does not match the class price";
+  }
+
+  return null;
+};
+
+// Seat holds, waitlist offers and payment recording shared by the server
+// and the maintenance scripts
+const createEnrollment = (database) => {
+  const usersCollection = database.collection("users");
+  const couponsCollection = database.collection("coupons");
+  const waitlistsCollection = database.collection("waitlists");
+  const notificationsCollection = database.collection("notifications");
+
+  // Store an in-app notification for a user
+  const notify = (uid, type, message, data = {}) =>
+    notificationsCollection.insertOne({
+      uid,
+      type,
+      message,
+      data,
+      read: false,
+      createdAt: new Date(),
+    });
+
+  // Drop expired seat holds of a class and expire the matching waitlist
+  // offers, only offerFreedSeats calls this so freed seats reach the waitlist
+  const releaseExpiredHolds = async (classId) => {
+    const now = new Date();
+    await database
+      .collection("classes")
+      .updateOne(
+        { _id: new ObjectId(classId) },
+        { $pull: { seatHolds: { expiresAt: { $lte: now } } } }
+      );
+    await waitlistsCollection.updateMany(
+      { classId, status: "offered", holdExpiresAt: { $lte: now } },
+      { $set: { status: "expired", updatedAt: now } }
+    );
+  };
+
+  // Atomically give a student a seat hold if the class has a free seat,
+  // replacing any hold the student already had
+  const pushSeatHold = async (classId, studentUid, expiresAt) => {
+    const result = await database.collection("classes").updateOne(
+      {
+        _id: new ObjectId(classId),
+        status: "approved",
+        enrolledStudents: { $ne: studentUid },
+        ...hasFreeSeatCondition(studentUid),
+      },
+      [
+        {
+          $set: {
+            seatHolds: {
+              $concatArrays: [
+                {
+                  $filter: {
+                    input: { $ifNull: ["$seatHolds", []] },
+                    cond: { $ne: ["$$this.studentUid", studentUid] },
+                  },
+                },
+                [{ studentUid, expiresAt }],
+              ],
+            },
+          },
+        },
+      ]
+    );
+    return result.modifiedCount > 0;
+  };
+
+  // Hold a seat while a student pays, an existing unexpired hold (such as
+  // a waitlist offer) is kept as it is. Classes without a seat limit need
+  // no hold, and nobody can skip students waiting for a seat. Resolves with
+  // false when there is no seat, otherwise with the hold this checkout
+  // created (null when it needed none)
+  const holdSeatForCheckout = async (classData, studentUid) => {
+    if (classData.maxStudents == null) {
+      return null;
+    }
+
+    const existingHold = (classData.seatHolds || []).find(
+      (hold) => hold.studentUid === studentUid && hold.expiresAt > new Date()
+    );
+    if (existingHold) {
+      return null;
+    }
+
+    const classId = classData._id.toString();
+
+    // Seats freed by expired holds go to the waitlist first, which may
+    // offer one to this student
+    await offerFreedSeats(classId);
+
+    const offer = await waitlistsCollection.findOne({
+      classId,
+      studentUid,
+      status: "offered",
+    });
+    if (offer) {
+      return null;
+    }
+
+    const waiting = await waitlistsCollection.findOne({
+      classId,
+      status: "waiting",
+      studentUid: { $ne: studentUid },
+    });
+    if (waiting) {
+      return false;
+    }
+
+    const hold = {
+      studentUid,
+      expiresAt: new Date(Date.now() + CHECKOUT_HOLD_MINUTES * 60 * 1000),
+    };
+
+    return (await pushSeatHold(classId, hold.studentUid, hold.expiresAt))
+      ? hold
+      : false;
+  };
+
+  // Give back a seat hold created for a checkout that did not go ahead
+  const releaseSeatHold = (classId, hold) =>
+    database
+      .collection("classes")
+      .updateOne(
+        { _id: new ObjectId(classId) },
+        { $pull: { seatHolds: hold } }
+      );
+
+  // Atomically enroll a student if the class has a free seat or the
+  // student holds one, resolves with "enrolled", "already_enrolled",
+  // "full" or "not_found"
+  const enrollStudent = async (classId, studentUid) => {
+    const classesCollection = database.collection("classes");
+
+    const result = await classesCollection.updateOne(
+      {
+        _id: new ObjectId(classId),
+        enrolledStudents: { $ne: studentUid },
+        ...hasFreeSeatCondition(studentUid),
+      },
+      {
+        $addToSet: { enrolledStudents: studentUid },
+        $pull: { seatHolds: { studentUid } },
+        $set: { updatedAt: new Date() },
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      await waitlistsCollection.updateMany(
+        { classId, studentUid, status: { $in: ["waiting", "offered"] } },
+        { $set: { status: "enrolled", updatedAt: new Date() } }
+      );
+      return "enrolled";
+    }
+
+    const classData = await classesCollection.findOne({
+      _id: new ObjectId(classId),
+    });
+
+    if (!classData) {
+      return "not_found";
+    }
+
+    return (classData.enrolledStudents || []).includes(studentUid)
+      ? "already_enrolled"
+      : "full";
+  };
+
+  // Release expired holds and offer free seats to the next students on the
+  // waitlist, each offer is a seat hold they have WAITLIST_HOLD_HOURS to
+  // pay for
+  const offerFreedSeats = async (classId) => {
+    await releaseExpiredHolds(classId);
+
+    const classData = await database
+      .collection("classes")
+      .findOne({ _id: new ObjectId(classId) });
+
+    if (!classData || classData.status !== "approved") {
+      return;
+    }
+
+    for (;;) {
+      const next = await waitlistsCollection.findOne(
+        { classId, status: "waiting" },
+        { sort: { joinedAt: 1 } }
+      );
+
+      if (!next) {
+        return;
+      }
+
+      const holdExpiresAt = new Date(
+        Date.now() + WAITLIST_HOLD_HOURS * 60 * 60 * 1000
+      );
+
+      if (!(await pushSeatHold(classId, next.studentUid, holdExpiresAt))) {
+        return;
+      }
+
+      await waitlistsCollection.updateOne(
+        { _id: next._id },
+        {
+          $set: {
+            status: "offered",
+            offeredAt: new Date(),
+            holdExpiresAt,
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      await notify(
+        next.studentUid,
+        "waitlist.seat-offered",
+        `A seat opened up in "${
+          classData.title
+        }". Complete your payment before ${holdExpiresAt.toISOString()} to keep it.`,
+        { classId, holdExpiresAt }
+      );
+    }
+  };
+
+  // Coupon redemption recorded on a payment, read back from the metadata
+  // set on the PaymentIntent at checkout
+  const couponFromPaymentIntent = (paymentIntent) => {
+    const { metadata = {} } = paymentIntent;
+
+    if (!metadata.couponId || !ObjectId.isValid(metadata.couponId)) {
+      return null;
+    }
+
+    return {
+      couponId: new ObjectId(metadata.couponId),
+      code: metadata.couponCode,
+      type: metadata.couponType,
+      value: parseFloat(metadata.couponValue),
+      originalAmount: parseFloat(metadata.originalAmount),
+      discountAmount: parseFloat(metadata.discountAmount),
+    };
+  };
+
+  // Record a succeeded PaymentIntent as a payment and enroll the student.
+  // /process-enrollment and the Stripe webhook both call this, whichever
+  // runs first records the payment and the other finds it. Resolves with
+  // the enrollment result, payments for a seat that is gone are flagged
+  // for a refund
+  const completeStripePayment = async (
+    paymentIntent,
+    { classId, studentUid, amount, source }
+  ) => {
+    const paymentsCollection = database.collection("payments");
+    const student = await usersCollection.findOne({ uid: studentUid });
+    const coupon = couponFromPaymentIntent(paymentIntent);
+
+    const paymentDoc = {
+      stripePaymentIntentId: paymentIntent.id,
+      transactionId: paymentIntent.id,
+      classId,
+      studentUid,
+      studentName: student?.name || "",
+      studentEmail: student?.email || "",
+      amount,
+      paymentMethod: "stripe",
+      status: "completed",
+      coupon,
+      createdAt: new Date(),
+      source,
+    };
+
+    const inserted = await paymentsCollection
+      .updateOne(
+        {
+          $or: [
+            { stripePaymentIntentId: paymentIntent.id },
+            { transactionId: paymentIntent.id },
+          ],
+        },
+        { $setOnInsert: paymentDoc },
+        { upsert: true }
+      )
+      .catch((error) => {
+        // The webhook and the browser recorded the payment at the same time
+        if (error.code === 11000) {
+          return { upsertedCount: 0 };
+        }
+        throw error;
+      });
+
+    // A PaymentIntent can still succeed after an attempt to pay failed
+    if (inserted.upsertedCount) {
+      await database
+        .collection("payment-failures")
+        .updateOne(
+          { stripePaymentIntentId: paymentIntent.id },
+          { $set: { recoveredAt: new Date() } }
+        );
+    }
+
+    // The reservation made at checkout becomes a redemption
+    if (coupon && inserted.upsertedCount) {
+      const { couponReservationId } = paymentIntent.metadata;
+      await couponsCollection.updateOne(
+        { _id: coupon.couponId },
+        {
+          $inc: { redemptionCount: 1 },
+          ...(ObjectId.isValid(couponReservationId) && {
+            $pull: {
+              reservations: { id: new ObjectId(couponReservationId) },
+            },
+          }),
+        }
+      );
+    }
+
+    const classData = await database
+      .collection("classes")
+      .findOne({ _id: new ObjectId(classId) });
+
+    const enrollment =
+      classData?.status === "approved"
+        ? await enrollStudent(classId, studentUid)
+        : "unavailable";
+
+    if (enrollment === "full" || enrollment === "unavailable") {
+      // The student has paid for a seat that is no longer available
+      await paymentsCollection.updateOne(
+        { stripePaymentIntentId: paymentIntent.id, status: "completed" },
+        { $set: { status: "refund_required", updatedAt: new Date() } }
+      );
+
+      await notify(
+        studentUid,
+        "payment.refund-required",
+        `Your payment for "${
+          classData?.title || "a class"
+        }" could not be used because the class is no longer available. It will be refunded.`,
+        { classId, paymentIntentId: paymentIntent.id }
+      );
+    }
+
+    return enrollment;
+  };
+
+  // Record a missing payment found by reconciliation the way the Stripe
+  // webhook would, resolves with { enrollment } or with { mismatch } for a
+  // PaymentIntent the webhook rejects, those students are not enrolled
+  const recordReconciledPayment = async (paymentIntent) => {
+    const { classId, studentUid } = paymentIntent.metadata;
+
+    const classData = await database
+      .collection("classes")
+      .findOne({ _id: new ObjectId(classId) });
+
+    const mismatch =
+      classData && paymentIntentMismatch(paymentIntent, classData, studentUid);
+
+    if (mismatch) {
+      return { mismatch };
+    }
+
+    return {
+      enrollment: await completeStripePayment(paymentIntent, {
+        classId,
+        studentUid,
+        amount: paymentIntent.amount_received / 100,
+        source: "reconciliation",
+      }),
+    };
+  };
+
+  return {
+    notify,
+    holdSeatForCheckout,
+    releaseSeatHold,
+    enrollStudent,
+    offerFreedSeats,
+    completeStripePayment,
+    recordReconciledPayment,
+  };
+};
+
+module.exports = {
+  CHECKOUT_HOLD_MINUTES,
+  PAYMENT_CURRENCY,
+  paymentIntentMismatch,
+  createEnrollment,
+};
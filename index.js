@@ -2,7 +2,23 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
+const { paginateQuery } = require("./pagination");
+const {
+  validateSchedule,
+  expandSessions,
+  scheduleRange,
+  buildCalendar,
+  isHttpUrl,
+} = require("./schedule");
+const { reconcilePayments } = require("./reconciliation");
+const {
+  CHECKOUT_HOLD_MINUTES,
+  PAYMENT_CURRENCY,
+  paymentIntentMismatch,
+  createEnrollment,
+} = require("./enrollment");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -10,8 +26,20 @@ const PORT = process.env.PORT || 3000;
 // Use CORS
 app.use(cors());
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+// Middleware to parse JSON bodies, webhooks keep the raw body since their
+// signatures are computed over the exact bytes that were sent
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/webhooks/")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
+
+// Use the client IP forwarded by the hosting proxy in req.ip
+app.set("trust proxy", 1);
 
 // JWT middleware to verify token
 const verifyJWT = (req, res, next) => {
@@ -25,15 +53,763 @@ const verifyJWT = (req, res, next) => {
     return res.status(401).json({ message: "No token provided" });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
     if (err) {
       return res.status(403).json({ message: "Invalid token" });
     }
-    req.decoded = decoded;
-    next();
+
+    try {
+      // Users are found by the uid of the verified identity, emails are not
+      // proof of owning an account
+      const user = await client
+        .db("edu-manage")
+        .collection("users")
+        .findOne({ uid: decoded.uid });
+
+      // Reject tokens issued before a role change or forced sign-out
+      if (
+        user &&
+        user.tokensValidAfter &&
+        decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)
+      ) {
+        return res.status(401).json({ message: "Token has been revoked" });
+      }
+
+      // Suspended and deleted accounts cannot use the API
+      if (isAccountBlocked(user)) {
+        return res.status(403).json({ message: accountBlockedMessage(user) });
+      }
+
+      req.decoded = decoded;
+      // Caller's user document, null until they register through /users
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error("Error verifying token:", error);
+      res.status(500).json({ message: "Internal server error" });
+    }
+  });
+};
+
+// Account states a user can be in, missing means "active"
+const ACCOUNT_STATUSES = ["active", "suspended", "deleted"];
+
+// Whether a user's account is currently suspended or deleted,
+// suspensions without suspendedUntil last until lifted
+const isAccountBlocked = (user) =>
+  !!user &&
+  (user.status === "deleted" ||
+    (user.status === "suspended" &&
+      (!user.suspendedUntil || user.suspendedUntil > new Date())));
+
+const accountBlockedMessage = (user) =>
+  user.status === "deleted"
+    ? "Account has been deleted"
+    : user.suspendedUntil
+    ? `Account is suspended until ${user.suspendedUntil.toISOString()}`
+    : "Account is suspended";
+
+// Social networks a user can link on their profile
+const SOCIAL_LINK_KEYS = [
+  "website",
+  "facebook",
+  "twitter",
+  "linkedin",
+  "github",
+  "youtube",
+];
+
+// Validate a self-service profile update, returns the fields to $set
+// or an error message
+const validateProfileUpdate = (body) => {
+  const { name, photoURL, bio, phone, socialLinks, expertise, ...rest } =
+    body || {};
+  const update = {};
+
+  const unknownFields = Object.keys(rest);
+  if (unknownFields.length > 0) {
+    return { error: `Fields cannot be edited: ${unknownFields.join(", ")}` };
+  }
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || !name.trim() || name.trim().length > 100) {
+      return { error: "Name must be between 1 and 100 characters" };
+    }
+    update.name = name.trim();
+  }
+
+  if (photoURL !== undefined) {
+    if (photoURL !== "" && !isHttpUrl(photoURL)) {
+      return { error: "Photo URL must be a valid http(s) URL" };
+    }
+    update.photoURL = photoURL;
+  }
+
+  if (bio !== undefined) {
+    if (typeof bio !== "string" || bio.length > 1000) {
+      return { error: "Bio must be at most 1000 characters" };
+    }
+    update.bio = bio.trim();
+  }
+
+  if (phone !== undefined) {
+    if (phone !== "" && !/^\+?[0-9\s\-()]{7,20}$/.test(phone)) {
+      return { error: "Phone number is invalid" };
+    }
+    update.phone = phone;
+  }
+
+  if (socialLinks !== undefined) {
+    if (
+      typeof socialLinks !== "object" ||
+      socialLinks === null ||
+      Array.isArray(socialLinks)
+    ) {
+      return { error: "Social links must be an object" };
+    }
+    for (const [key, url] of Object.entries(socialLinks)) {
+      if (!SOCIAL_LINK_KEYS.includes(key)) {
+        return { error: `Unsupported social link: ${key}` };
+      }
+      if (url !== "" && !isHttpUrl(url)) {
+        return { error: `Social link '${key}' must be a valid http(s) URL` };
+      }
+    }
+    update.socialLinks = socialLinks;
+  }
+
+  if (expertise !== undefined) {
+    if (
+      !Array.isArray(expertise) ||
+      expertise.length > 20 ||
+      expertise.some(
+        (item) =>
+          typeof item !== "string" || !item.trim() || item.trim().length > 50
+      )
+    ) {
+      return {
+        error:
+          "Expertise must be a list of up to 20 entries of 1-50 characters",
+      };
+    }
+    update.expertise = expertise.map((item) => item.trim());
+  }
+
+  if (Object.keys(update).length === 0) {
+    return { error: "No fields to update" };
+  }
+
+  return { update };
+};
+
+// Class fields teachers can edit through /classes/:id/content
+const CLASS_CONTENT_FIELDS = [
+  "title",
+  "price",
+  "description",
+  "image",
+  "category",
+  "tags",
+  "level",
+  "language",
+  "maxStudents",
+];
+
+// Levels a class can be aimed at
+const CLASS_LEVELS = ["beginner", "intermediate", "advanced", "all-levels"];
+
+// Lower bounds of the price buckets reported in GET /classes facets
+const PRICE_BUCKET_BOUNDARIES = [0, 25, 50, 100, 200];
+
+// Validate class category, tags, level, language and seat limit, missing
+// fields fall back to the current values so partial updates keep them
+const validateClassMetadata = (body, current = {}) => {
+  const {
+    category = current.category ?? null,
+    tags = current.tags ?? [],
+    level = current.level ?? null,
+    language = current.language ?? null,
+    maxStudents = current.maxStudents ?? null,
+  } = body || {};
+
+  if (
+    category !== null &&
+    (typeof category !== "string" ||
+      !category.trim() ||
+      category.trim().length > 50)
+  ) {
+    return { error: "Category must be between 1 and 50 characters" };
+  }
+
+  if (
+    !Array.isArray(tags) ||
+    tags.length > 10 ||
+    tags.some(
+      (tag) => typeof tag !== "string" || !tag.trim() || tag.trim().length > 30
+    )
+  ) {
+    return {
+      error: "Tags must be a list of up to 10 entries of 1-30 characters",
+    };
+  }
+
+  if (level !== null && !CLASS_LEVELS.includes(level)) {
+    return {
+      error: `Invalid level. Must be one of: ${CLASS_LEVELS.join(", ")}`,
+    };
+  }
+
+  if (
+    language !== null &&
+    (typeof language !== "string" ||
+      !language.trim() ||
+      language.trim().length > 30)
+  ) {
+    return { error: "Language must be between 1 and 30 characters" };
+  }
+
+  // A missing seat limit means unlimited enrollments
+  if (
+    maxStudents !== null &&
+    (!Number.isInteger(maxStudents) || maxStudents < 1 || maxStudents > 10000)
+  ) {
+    return { error: "Max students must be a whole number between 1 and 10000" };
+  }
+
+  const enrolledCount = (current.enrolledStudents || []).length;
+  if (maxStudents !== null && maxStudents < enrolledCount) {
+    return {
+      error: `Max students cannot be lower than the ${enrolledCount} enrolled students`,
+    };
+  }
+
+  return {
+    metadata: {
+      category: category?.trim() ?? null,
+      // Tags are matched case-insensitively, so store them lowercased
+      tags: [...new Set(tags.map((tag) => tag.trim().toLowerCase()))],
+      level,
+      language: language?.trim() ?? null,
+      maxStudents,
+    },
+  };
+};
+
+// Number of free seats in a class document, null when unlimited
+const countFreeSeats = (classData) => {
+  if (classData.maxStudents == null) {
+    return null;
+  }
+  const activeHolds = (classData.seatHolds || []).filter(
+    (hold) => hold.expiresAt > new Date()
+  );
+  return Math.max(
+    0,
+    classData.maxStudents -
+      (classData.enrolledStudents || []).length -
+      activeHolds.length
+  );
+};
+
+// Enrolled students, the class teacher and admins can see members-only
+// class content such as meeting links
+const hasClassAccess = (classData, user) =>
+  !!user &&
+  (user.role === "admin" ||
+    classData.teacherUid === user.uid ||
+    (classData.enrolledStudents || []).includes(user.uid));
+
+// Longest range GET /students/:uid/schedule expands at once
+const MAX_SCHEDULE_RANGE_DAYS = 366;
+
+// Public URL of the API, calendar apps need an absolute feed URL. Requests
+// build it from their own protocol and host when it is not set
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL?.replace(/\/+$/, "");
+
+// Lesson types a class module can contain
+const LESSON_TYPES = ["text", "video"];
+
+const MAX_LESSON_RESOURCES = 20;
+
+// Validate a lesson, returns { error } or { lesson }
+const validateLesson = (body) => {
+  const {
+    title,
+    type = "text",
+    content = "",
+    videoUrl = null,
+    resources = [],
+  } = body;
+
+  if (typeof title !== "string" || !title.trim() || title.length > 200) {
+    return { error: "Lesson title is required (up to 200 characters)" };
+  }
+
+  if (!LESSON_TYPES.includes(type)) {
+    return { error: `Lesson type must be one of: ${LESSON_TYPES.join(", ")}` };
+  }
+
+  if (typeof content !== "string" || content.length > 50000) {
+    return { error: "Lesson content must be text up to 50000 characters" };
+  }
+
+  if (type === "video" && !videoUrl) {
+    return { error: "Video lessons need a videoUrl" };
+  }
+
+  if (videoUrl && !isHttpUrl(videoUrl)) {
+    return { error: "videoUrl must be an http(s) URL" };
+  }
+
+  if (!Array.isArray(resources) || resources.length > MAX_LESSON_RESOURCES) {
+    return {
+      error: `resources must be a list of up to ${MAX_LESSON_RESOURCES} links`,
+    };
+  }
+
+  for (const resource of resources) {
+    if (
+      typeof resource?.title !== "string" ||
+      !resource.title.trim() ||
+      !isHttpUrl(resource.url)
+    ) {
+      return { error: "Each resource needs a title and an http(s) url" };
+    }
+  }
+
+  return {
+    lesson: {
+      title: title.trim(),
+      type,
+      content,
+      videoUrl: videoUrl || null,
+      resources: resources.map((resource) => ({
+        title: resource.title.trim(),
+        url: resource.url,
+      })),
+    },
+  };
+};
+
+// Whether a reorder request lists exactly the existing IDs
+const isSameIdSet = (ids, existingIds) =>
+  Array.isArray(ids) &&
+  ids.length === existingIds.length &&
+  new Set(ids).size === ids.length &&
+  ids.every((id) => existingIds.includes(id));
+
+// Coupon discount types, percentage coupons take value percent off the
+// class price and fixed coupons take value off in the payment currency
+const COUPON_TYPES = ["percentage", "fixed"];
+
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Smallest amount Stripe can charge
+const MIN_CHARGE_AMOUNT = 0.5;
+
+// Validate the editable limits of a coupon, only the given fields are
+// returned so the same check serves creation and updates
+const validateCouponLimits = (body) => {
+  const limits = {};
+
+  if (body.expiresAt !== undefined) {
+    const expiresAt = body.expiresAt === null ? null : new Date(body.expiresAt);
+    if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+      return { error: "expiresAt must be a date in the future" };
+    }
+    limits.expiresAt = expiresAt;
+  }
+
+  for (const field of ["maxRedemptions", "perStudentLimit"]) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (
+      body[field] !== null &&
+      (!Number.isInteger(body[field]) || body[field] < 1)
+    ) {
+      return { error: `${field} must be a positive integer` };
+    }
+    limits[field] = body[field];
+  }
+
+  if (limits.perStudentLimit === null) {
+    return { error: "perStudentLimit must be a positive integer" };
+  }
+
+  return { limits };
+};
+
+// Validate a new coupon, returns { error } or { coupon }
+const validateCoupon = (body) => {
+  const code = String(body.code || "")
+    .trim()
+    .toUpperCase();
+  const value = Number(body.value);
+
+  if (!COUPON_CODE_PATTERN.test(code)) {
+    return {
+      error: "code must be 3 to 32 letters, digits, dashes or underscores",
+    };
+  }
+
+  if (!COUPON_TYPES.includes(body.type)) {
+    return { error: `type must be one of: ${COUPON_TYPES.join(", ")}` };
+  }
+
+  if (
+    !Number.isFinite(value) ||
+    value <= 0 ||
+    (body.type === "percentage" && value > 100)
+  ) {
+    return {
+      error:
+        body.type === "percentage"
+          ? "value must be a percentage between 0 and 100"
+          : "value must be a positive amount",
+    };
+  }
+
+  const { error, limits } = validateCouponLimits(body);
+  if (error) {
+    return { error };
+  }
+
+  return {
+    coupon: {
+      code,
+      type: body.type,
+      value,
+      expiresAt: null,
+      maxRedemptions: null,
+      perStudentLimit: 1,
+      ...limits,
+    },
+  };
+};
+
+// Price of a class after a coupon discount, rounded to cents
+const applyCoupon = (price, coupon) => {
+  const discount =
+    coupon.type === "percentage" ? (price * coupon.value) / 100 : coupon.value;
+  const discountAmount = Math.round(Math.min(price, discount) * 100) / 100;
+
+  return {
+    originalAmount: price,
+    discountAmount,
+    finalAmount: Math.round((price - discountAmount) * 100) / 100,
+  };
+};
+
+// Aggregation condition for the reservation a new checkout of the student
+// for the class replaces
+const replacedReservationCondition = (studentUid, classId) => ({
+  $and: [
+    { $eq: ["$$this.studentUid", studentUid] },
+    { $eq: ["$$this.classId", classId] },
+  ],
+});
+
+// Aggregation expression for the number of unexpired reservations of a
+// coupon other than the one the student's checkout for the class replaces,
+// only the student's own with ownOnly
+const activeReservationsExpression = (
+  studentUid,
+  classId,
+  { ownOnly = false } = {}
+) => ({
+  $size: {
+    $filter: {
+      input: { $ifNull: ["$reservations", []] },
+      cond: {
+        $and: [
+          { $gt: ["$$this.expiresAt", "$$NOW"] },
+          { $not: [replacedReservationCondition(studentUid, classId)] },
+          ...(ownOnly ? [{ $eq: ["$$this.studentUid", studentUid] }] : []),
+        ],
+      },
+    },
+  },
+});
+
+// Signing secret of the Stripe webhook endpoint
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+// Payment states that can still be refunded
+const REFUNDABLE_PAYMENT_STATUSES = [
+  "completed",
+  "partially_refunded",
+  "refund_required",
+];
+
+// Days after paying in which a student can ask for a refund
+const REFUND_WINDOW_DAYS = parseInt(process.env.REFUND_WINDOW_DAYS) || 14;
+
+// Longest range an admin can reconcile in one request, longer ranges can be
+// reconciled with scripts/reconcile-payments.js
+const MAX_RECONCILIATION_DAYS = 31;
+
+// Payment states in which nobody is owed money for a class
+const SETTLED_PAYMENT_STATUSES = ["refunded"];
+
+// Collections whose documents belong to a class through their classId and
+// are removed with it. Payments and refund requests are kept for reporting,
+// and so are redeemed coupons since payments reference them
+const CLASS_DEPENDENT_COLLECTIONS = [
+  "assignments",
+  "submissions",
+  "teaching-evaluations",
+  "class-revisions",
+  "class-modules",
+  "lesson-progress",
+  "waitlists",
+  "payment-failures",
+];
+
+// Collections holding what students did in a class, a class with none of
+// these, no enrolled students and no payments can be deleted outright
+const CLASS_STUDENT_ACTIVITY_COLLECTIONS = [
+  "payments",
+  "submissions",
+  "teaching-evaluations",
+  "lesson-progress",
+  "waitlists",
+  "refund-requests",
+];
+
+// Class fields whose edits on a published class need admin review
+const MATERIAL_CLASS_FIELDS = ["title", "price", "description"];
+
+// Revision states in which a class has an unmerged revision,
+// a class has at most one open revision at a time
+const OPEN_REVISION_STATUSES = ["pending", "rejected"];
+
+// Top-level fields that changed between two snapshots of a document
+const diffDocuments = (before, after) => {
+  const diff = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  keys.forEach((key) => {
+    if (key === "updatedAt") {
+      return;
+    }
+    const beforeValue = before ? before[key] : undefined;
+    const afterValue = after ? after[key] : undefined;
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      diff[key] = { before: beforeValue ?? null, after: afterValue ?? null };
+    }
+  });
+
+  return diff;
+};
+
+// Field-level changes between two snapshots of an audited target, lists of
+// plain values such as enrolledStudents only record the added and removed
+// entries so the log does not grow with the list
+const diffAuditSnapshots = (before, after) => {
+  const diff = diffDocuments(before, after);
+
+  Object.entries(diff).forEach(([key, change]) => {
+    const isPlainList = (value) =>
+      Array.isArray(value) &&
+      value.every((item) => item === null || typeof item !== "object");
+
+    if (isPlainList(change.before) && isPlainList(change.after)) {
+      const beforeSet = new Set(change.before);
+      const afterSet = new Set(change.after);
+      diff[key] = {
+        added: change.after.filter((item) => !beforeSet.has(item)),
+        removed: change.before.filter((item) => !afterSet.has(item)),
+      };
+    }
+  });
+
+  return diff;
+};
+
+// Access tokens are short-lived, sessions are kept alive with refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_EXPIRES_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Refresh tokens are only ever stored as a SHA-256 hash
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Longest search string accepted by the search endpoints
+const MAX_SEARCH_LENGTH = 100;
+
+// First of the given query parameters that is not a plain string, repeated
+// parameters (?tags=a&tags=b) arrive as arrays and nested ones as objects
+const findNonStringQueryParam = (query, keys) =>
+  keys.find(
+    (key) => query[key] !== undefined && typeof query[key] !== "string"
+  );
+
+// Case-insensitive match of the search phrase at the start of a word,
+// the input is escaped so it is always matched literally
+const prefixRegex = (search) =>
+  new RegExp(`(?:^|\\W)${escapeRegex(search)}`, "i");
+
+// Distinct lowercase words of a search string
+const parseSearchTerms = (search) => [
+  ...new Set(search.toLowerCase().split(/\s+/).filter(Boolean)),
+];
+
+// Snippets around the search terms found in each field of a document,
+// match offsets are relative to the snippet so clients can highlight them
+const buildHighlights = (doc, fields, terms, radius = 60) => {
+  const highlights = [];
+
+  fields.forEach((field) => {
+    const value = doc[field];
+    if (typeof value !== "string") {
+      return;
+    }
+
+    // Text search matches stemmed words, so also look for the word stem
+    const lowerValue = value.toLowerCase();
+    const candidates = terms.flatMap((term) =>
+      term.length > 5
+        ? [term, term.slice(0, Math.max(4, term.length - 4))]
+        : [term]
+    );
+    const firstIndex = Math.min(
+      ...candidates
+        .map((term) => lowerValue.indexOf(term))
+        .filter((index) => index !== -1)
+    );
+
+    if (!isFinite(firstIndex)) {
+      return;
+    }
+
+    const start = Math.max(0, firstIndex - radius);
+    const end = Math.min(value.length, firstIndex + radius);
+    const snippet = value.slice(start, end);
+    const lowerSnippet = snippet.toLowerCase();
+
+    const matches = [];
+    candidates.forEach((term) => {
+      let index = lowerSnippet.indexOf(term);
+      while (index !== -1) {
+        if (
+          !matches.some(
+            (match) =>
+              index < match.start + match.length &&
+              match.start < index + term.length
+          )
+        ) {
+          matches.push({ start: index, length: term.length });
+        }
+        index = lowerSnippet.indexOf(term, index + term.length);
+      }
+    });
+    matches.sort((a, b) => a.start - b.start);
+
+    highlights.push({
+      field,
+      snippet,
+      truncatedStart: start > 0,
+      truncatedEnd: end < value.length,
+      matches,
+    });
   });
+
+  return highlights;
+};
+
+// Allowed teacher application status transitions for admin review
+const APPLICATION_TRANSITIONS = {
+  pending: ["approved", "rejected"],
+};
+
+// Limits on resubmitting a rejected teacher application
+const MAX_APPLICATION_RESUBMISSIONS =
+  parseInt(process.env.MAX_APPLICATION_RESUBMISSIONS) || 3;
+const APPLICATION_RESUBMIT_COOLDOWN_HOURS =
+  parseInt(process.env.APPLICATION_RESUBMIT_COOLDOWN_HOURS) || 24;
+
+// Identity provider settings for verifying ID tokens posted to /jwt
+// (defaults to Firebase Authentication for FIREBASE_PROJECT_ID)
+const ID_TOKEN_ISSUER =
+  process.env.ID_TOKEN_ISSUER ||
+  `https://securetoken.google.com/${process.env.FIREBASE_PROJECT_ID}`;
+const ID_TOKEN_AUDIENCE =
+  process.env.ID_TOKEN_AUDIENCE || process.env.FIREBASE_PROJECT_ID;
+const ID_TOKEN_JWKS_URI =
+  process.env.ID_TOKEN_JWKS_URI ||
+  "https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com";
+
+// Key source backed by a single PEM public key (e.g. a local key pair)
+const createStaticKeySource = (publicKey) => (header, callback) => {
+  callback(null, publicKey);
+};
+
+// Key source backed by a remote JWKS, cached for the max-age it is served with
+const createJwksKeySource = (jwksUri) => {
+  let cachedKeys = null;
+  let expiresAt = 0;
+
+  const loadKeys = async () => {
+    if (cachedKeys && Date.now() < expiresAt) {
+      return cachedKeys;
+    }
+
+    const response = await fetch(jwksUri);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: ${response.status}`);
+    }
+
+    const { keys } = await response.json();
+    const maxAge = /max-age=(\d+)/.exec(
+      response.headers.get("cache-control") || ""
+    );
+
+    cachedKeys = keys;
+    expiresAt = Date.now() + (maxAge ? parseInt(maxAge[1]) * 1000 : 3600000);
+    return cachedKeys;
+  };
+
+  return (header, callback) => {
+    loadKeys()
+      .then((keys) => {
+        const jwk = keys.find((key) => key.kid === header.kid);
+        if (!jwk) {
+          return callback(new Error("Unknown signing key"));
+        }
+        callback(null, crypto.createPublicKey({ key: jwk, format: "jwk" }));
+      })
+      .catch(callback);
+  };
 };
 
+// ID_TOKEN_PUBLIC_KEY takes precedence over the JWKS so a local key pair can be used
+const idTokenKeySource = process.env.ID_TOKEN_PUBLIC_KEY
+  ? createStaticKeySource(process.env.ID_TOKEN_PUBLIC_KEY.replace(/\\n/g, "\n"))
+  : createJwksKeySource(ID_TOKEN_JWKS_URI);
+
+// Verify an identity provider ID token and resolve with its claims
+const verifyIdToken = (idToken) =>
+  new Promise((resolve, reject) => {
+    jwt.verify(
+      idToken,
+      idTokenKeySource,
+      {
+        algorithms: ["RS256"],
+        issuer: ID_TOKEN_ISSUER,
+        audience: ID_TOKEN_AUDIENCE,
+      },
+      (err, decoded) => (err ? reject(err) : resolve(decoded))
+    );
+  });
+
 // Create a MongoClient with a MongoClientOptions object to set the Stable API version
 const client = new MongoClient(process.env.MONGO_URI, {
   serverApi: {
@@ -54,636 +830,1179 @@ async function run() {
     const database = client.db("edu-manage");
     const usersCollection = database.collection("users");
 
-    // Simple route
-    app.get("/", (req, res) => {
-      res.send("Hello, EduManage");
-    });
-
-    // JWT token creation endpoint
-    app.post("/jwt", async (req, res) => {
-      try {
-        const { email } = req.body;
-
-        if (!email) {
-          return res.status(400).json({ message: "Email is required" });
+    const refreshTokensCollection = database.collection("refresh-tokens");
+
+    // Expired refresh tokens are removed by MongoDB
+    refreshTokensCollection
+      .createIndexes([
+        { key: { tokenHash: 1 }, unique: true },
+        { key: { familyId: 1 } },
+        { key: { expiresAt: 1 }, expireAfterSeconds: 0 },
+      ])
+      .catch((error) =>
+        console.error("Error creating refresh token indexes:", error)
+      );
+
+    // Role middleware to verify the caller has one of the allowed roles
+    // (must run after verifyJWT, which loads the caller into req.user)
+    const verifyRole =
+      (...allowedRoles) =>
+      (req, res, next) => {
+        if (!req.user || !allowedRoles.includes(req.user.role)) {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden access",
+          });
         }
+        next();
+      };
+
+    // Sign an access token and a rotating refresh token for a user,
+    // a new token family is started unless one is passed in
+    const issueTokens = async (
+      { uid, email, role },
+      familyId = new ObjectId().toHexString()
+    ) => {
+      const token = jwt.sign({ uid, email, role }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      });
 
-        // Create JWT token with email as payload
-        const token = jwt.sign({ email }, process.env.JWT_SECRET, {
-          expiresIn: "7d", // Token expires in 7 days
-        });
-
-        res.status(200).json({ token });
-      } catch (error) {
-        res.status(500).json({ message: "Failed to create token" });
-      }
-    });
-
-    // Verify JWT token endpoint
-    app.get("/verify-jwt", verifyJWT, (req, res) => {
-      res.status(200).json({
-        message: "Token is valid",
-        email: req.decoded.email,
+      const refreshToken = crypto.randomBytes(48).toString("base64url");
+      await refreshTokensCollection.insertOne({
+        tokenHash: hashToken(refreshToken),
+        familyId,
+        uid,
+        email,
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: new Date(
+          Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+        ),
+        createdAt: new Date(),
       });
-    });
 
-    // User registration endpoint
-    app.post("/users", async (req, res) => {
-      try {
-        const { uid, name, email, photoURL } = req.body;
+      return { token, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN };
+    };
 
-        // Validate required fields
-        if (!uid || !name || !email) {
-          return res.status(400).json({
-            success: false,
-            message: "Missing required fields: uid, name, email",
-          });
-        }
+    // Revoke every refresh token matching the filter
+    const revokeRefreshTokens = (filter) =>
+      refreshTokensCollection.updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      );
 
-        // Check if user already exists
-        const existingUser = await usersCollection.findOne({ uid });
-        if (existingUser) {
-          return res.status(409).json({
-            success: false,
-            message: "User already exists",
-          });
-        }
+    // Admin-only routes
+    const verifyAdmin = verifyRole("admin");
 
-        // Create user document with student role
-        const userDoc = {
-          uid,
-          name,
-          email,
-          photoURL: photoURL || "",
-          role: "student",
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        };
+    // Teacher routes (admins are allowed as well)
+    const verifyTeacher = verifyRole("teacher", "admin");
 
-        // Insert user into database
-        const result = await usersCollection.insertOne(userDoc);
+    // Any registered user
+    const verifyUser = verifyRole("student", "teacher", "admin");
 
-        res.status(201).json({
-          success: true,
-          message: "User registered successfully",
-          userId: result.insertedId,
-        });
-      } catch (error) {
-        res.status(500).json({
+    // Ownership middleware to bind a :uid route param to the caller
+    // (must run after verifyRole, admins are exempt)
+    const verifySelf = (req, res, next) => {
+      if (req.user.role !== "admin" && req.user.uid !== req.params.uid) {
+        return res.status(403).json({
           success: false,
-          message: "Internal server error",
+          message: "Forbidden access",
         });
       }
-    });
+      next();
+    };
+
+    // Ownership middleware to bind a class to its teacher, the class ID is
+    // read from the route params or the request body
+    // (must run after verifyRole, admins are exempt)
+    const verifyClassOwner =
+      (param = "id") =>
+      async (req, res, next) => {
+        try {
+          const classId = req.params[param] || req.body?.[param];
 
-    // Create teacher application
-    app.post("/teacher-applications", verifyJWT, async (req, res) => {
-      try {
-        const {
-          uid,
-          name,
-          email,
-          photoURL,
-          title,
-          experience,
-          category,
-          status,
-          appliedAt,
-        } = req.body;
+          if (!ObjectId.isValid(classId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid class ID format",
+            });
+          }
 
-        // Validate required fields
-        if (!uid || !name || !email || !title || !experience || !category) {
-          return res.status(400).json({
-            success: false,
-            message: "Missing required fields",
-          });
-        }
+          const classData = await database
+            .collection("classes")
+            .findOne({ _id: new ObjectId(classId) });
 
-        const teacherApplicationsCollection = database.collection(
-          "teacher-applications"
-        );
+          if (!classData) {
+            return res.status(404).json({
+              success: false,
+              message: "Class not found",
+            });
+          }
 
-        // Check if user has already submitted an application
-        const existingApplication = await teacherApplicationsCollection.findOne(
-          {
-            uid: uid,
+          if (
+            req.user.role !== "admin" &&
+            classData.teacherUid !== req.user.uid
+          ) {
+            return res.status(403).json({
+              success: false,
+              message: "Forbidden access",
+            });
           }
-        );
 
-        if (existingApplication) {
-          return res.status(409).json({
+          // Expose the loaded class to the route handlers
+          req.classData = classData;
+          next();
+        } catch (error) {
+          console.error("Error verifying class ownership:", error);
+          res.status(500).json({
             success: false,
-            message: "You have already submitted a teaching application",
+            message: "Internal server error",
           });
         }
+      };
+
+    // Membership middleware for members-only class content, enrolled
+    // students, the class teacher and admins pass
+    // (must run after verifyRole)
+    const verifyClassMember =
+      (param = "id") =>
+      async (req, res, next) => {
+        try {
+          const classId = req.params[param];
 
-        // Create application document
-        const applicationDoc = {
-          uid,
-          name,
-          email,
-          photoURL: photoURL || "",
-          title,
-          experience,
-          category,
-          status: status || "pending",
-          appliedAt: appliedAt ? new Date(appliedAt) : new Date(),
-          createdAt: new Date(),
-        };
+          if (!ObjectId.isValid(classId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid class ID format",
+            });
+          }
 
-        // Insert application into database
-        const result = await teacherApplicationsCollection.insertOne(
-          applicationDoc
-        );
+          const classData = await database
+            .collection("classes")
+            .findOne({ _id: new ObjectId(classId) });
 
-        res.status(201).json({
-          success: true,
-          message: "Teacher application submitted successfully",
-          applicationId: result.insertedId,
-        });
-      } catch (error) {
-        console.error("Error creating teacher application:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
+          if (!classData) {
+            return res.status(404).json({
+              success: false,
+              message: "Class not found",
+            });
+          }
+
+          if (!hasClassAccess(classData, req.user)) {
+            return res.status(403).json({
+              success: false,
+              message: "Only enrolled students can access this class",
+            });
+          }
+
+          req.classData = classData;
+          next();
+        } catch (error) {
+          console.error("Error verifying class membership:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      };
+
+    const auditLogsCollection = database.collection("audit-logs");
+
+    auditLogsCollection
+      .createIndexes([
+        { key: { timestamp: -1 } },
+        { key: { "actor.uid": 1, timestamp: -1 } },
+        { key: { targetType: 1, targetId: 1, timestamp: -1 } },
+      ])
+      .catch((error) =>
+        console.error("Error creating audit log indexes:", error)
+      );
+
+    const classRevisionsCollection = database.collection("class-revisions");
+
+    classRevisionsCollection
+      .createIndexes([
+        { key: { classId: 1, status: 1 } },
+        { key: { status: 1, submittedAt: 1 } },
+        // A class has at most one pending revision
+        {
+          key: { classId: 1 },
+          unique: true,
+          partialFilterExpression: { status: "pending" },
+        },
+      ])
+      .catch((error) =>
+        console.error("Error creating class revision indexes:", error)
+      );
+
+    // Text indexes backing class and user search
+    database
+      .collection("classes")
+      .createIndex(
+        {
+          title: "text",
+          tags: "text",
+          teacherName: "text",
+          description: "text",
+        },
+        {
+          name: "classes_text_search",
+          weights: { title: 10, tags: 5, teacherName: 3, description: 1 },
+        }
+      )
+      .catch((error) =>
+        console.error("Error creating class text index:", error)
+      );
+
+    usersCollection
+      .createIndex(
+        { name: "text", email: "text" },
+        { name: "users_text_search", weights: { name: 3, email: 1 } }
+      )
+      .catch((error) =>
+        console.error("Error creating user text index:", error)
+      );
+
+    // Add a search to a filter query, using the text index when the search
+    // matches whole words and falling back to prefix matching on the given
+    // fields so partially typed words still find results
+    const applySearch = async (
+      collection,
+      filterQuery,
+      search,
+      prefixFields
+    ) => {
+      const textFilter = { ...filterQuery, $text: { $search: search } };
+
+      if (await collection.countDocuments(textFilter, { limit: 1 })) {
+        return { filter: textFilter, textSearch: true };
       }
-    });
 
-    // Get all teacher applications with pagination
-    app.get("/teacher-applications", verifyJWT, async (req, res) => {
-      try {
-        const teacherApplicationsCollection = database.collection(
-          "teacher-applications"
-        );
+      const searchRegex = prefixRegex(search);
+      return {
+        filter: {
+          ...filterQuery,
+          $or: prefixFields.map((field) => ({ [field]: searchRegex })),
+        },
+        textSearch: false,
+      };
+    };
+
+    // Load the audited fields of a target by its ID, histories and holds
+    // that only grow are left out
+    const auditTargetLoaders = {
+      user: (uid) => usersCollection.findOne({ uid }),
+      class: (id) =>
+        database
+          .collection("classes")
+          .findOne(
+            { _id: new ObjectId(id) },
+            { projection: { moderationHistory: 0, seatHolds: 0 } }
+          ),
+      "teacher-application": (id) =>
+        database
+          .collection("teacher-applications")
+          .findOne({ _id: new ObjectId(id) }, { projection: { history: 0 } }),
+      coupon: (id) =>
+        database
+          .collection("coupons")
+          .findOne(
+            { _id: new ObjectId(id) },
+            { projection: { reservations: 0 } }
+          ),
+      payment: (id) =>
+        database
+          .collection("payments")
+          .findOne({ _id: new ObjectId(id) }, { projection: { refunds: 0 } }),
+      "refund-request": (id) =>
+        database
+          .collection("refund-requests")
+          .findOne({ _id: new ObjectId(id) }),
+    };
+
+    // Audit middleware to record who changed what on a privileged route. The
+    // changes are read when the handler sends a successful response, before
+    // later requests can change the target again
+    // (must run after verifyRole)
+    const audit =
+      (action, targetType, getTargetId = (req) => req.params.id) =>
+      async (req, res, next) => {
+        const targetId = getTargetId(req);
+        const loadTarget = async () => {
+          try {
+            return await auditTargetLoaders[targetType](targetId);
+          } catch (error) {
+            return null;
+          }
+        };
 
-        // Extract query parameters
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 5;
+        const before = await loadTarget();
+        const sendJson = res.json.bind(res);
 
-        // Validate pagination parameters
-        const validatedPage = Math.max(1, page);
-        const validatedLimit = Math.min(Math.max(1, limit), 100); // Max 100 items per page
-        const skip = (validatedPage - 1) * validatedLimit;
+        res.json = (body) => {
+          if (res.statusCode >= 400) {
+            return sendJson(body);
+          }
 
-        // Get total count for pagination
-        const totalApplications =
-          await teacherApplicationsCollection.countDocuments({});
-        const totalPages = Math.ceil(totalApplications / validatedLimit);
+          loadTarget()
+            .then((after) => {
+              sendJson(body);
+              return auditLogsCollection.insertOne({
+                actor: {
+                  uid: req.user.uid,
+                  email: req.user.email,
+                  role: req.user.role,
+                },
+                action,
+                targetType,
+                targetId: targetId ? String(targetId) : null,
+                diff: diffAuditSnapshots(before, after),
+                ip: req.ip,
+                userAgent: req.headers["user-agent"] || null,
+                timestamp: new Date(),
+              });
+            })
+            .catch((error) => console.error("Error writing audit log:", error));
 
-        // Fetch applications with pagination
-        const applications = await teacherApplicationsCollection
-          .find({})
-          .sort({ appliedAt: -1 })
-          .skip(skip)
-          .limit(validatedLimit)
-          .toArray();
+          return res;
+        };
 
-        res.json({
-          success: true,
-          applications,
-          pagination: {
-            currentPage: validatedPage,
-            pageSize: validatedLimit,
-            totalApplications,
-            totalPages,
-            hasNextPage: validatedPage < totalPages,
-            hasPrevPage: validatedPage > 1,
+        next();
+      };
+
+    const waitlistsCollection = database.collection("waitlists");
+    const notificationsCollection = database.collection("notifications");
+
+    waitlistsCollection
+      .createIndexes([
+        { key: { classId: 1, status: 1, joinedAt: 1 } },
+        { key: { classId: 1, studentUid: 1 } },
+      ])
+      .catch((error) =>
+        console.error("Error creating waitlist indexes:", error)
+      );
+
+    notificationsCollection
+      .createIndexes([{ key: { uid: 1, createdAt: -1 } }])
+      .catch((error) =>
+        console.error("Error creating notification indexes:", error)
+      );
+
+    const {
+      notify,
+      holdSeatForCheckout,
+      releaseSeatHold,
+      offerFreedSeats,
+      completeStripePayment,
+      recordReconciledPayment,
+    } = createEnrollment(database);
+
+    const classModulesCollection = database.collection("class-modules");
+    const lessonProgressCollection = database.collection("lesson-progress");
+
+    classModulesCollection
+      .createIndexes([
+        { key: { classId: 1, position: 1 } },
+        { key: { "lessons._id": 1 } },
+      ])
+      .catch((error) =>
+        console.error("Error creating class module indexes:", error)
+      );
+
+    lessonProgressCollection
+      .createIndexes([
+        { key: { studentUid: 1, lessonId: 1 }, unique: true },
+        { key: { classId: 1, studentUid: 1 } },
+      ])
+      .catch((error) =>
+        console.error("Error creating lesson progress indexes:", error)
+      );
+
+    // Lesson IDs of a class in course order
+    const getLessonIds = async (classId) => {
+      const modules = await classModulesCollection
+        .find({ classId })
+        .sort({ position: 1 })
+        .project({ "lessons._id": 1 })
+        .toArray();
+
+      return modules.flatMap((module) =>
+        module.lessons.map((lesson) => lesson._id.toString())
+      );
+    };
+
+    // Course progress of students in a class, completions of lessons that
+    // were deleted since do not count
+    const getClassProgress = async (classId, studentUids) => {
+      const lessonIds = await getLessonIds(classId);
+
+      const completions = await lessonProgressCollection
+        .aggregate([
+          {
+            $match: {
+              classId,
+              studentUid: { $in: studentUids },
+              lessonId: { $in: lessonIds },
+            },
           },
-          // Legacy fields for backward compatibility
-          totalApplications,
-          totalPages,
-        });
-      } catch (error) {
-        console.error("Error fetching teacher applications:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
-      }
-    });
+          {
+            $group: {
+              _id: "$studentUid",
+              completedLessons: { $sum: 1 },
+              lastCompletedAt: { $max: "$completedAt" },
+            },
+          },
+        ])
+        .toArray();
 
-    // Get user by UID endpoint
-    app.get("/users/:uid", verifyJWT, async (req, res) => {
-      try {
-        const { uid } = req.params;
-        const user = await usersCollection.findOne({ uid });
+      const completionsByStudent = Object.fromEntries(
+        completions.map((completion) => [completion._id, completion])
+      );
 
-        if (!user) {
-          return res.status(404).json({
-            success: false,
-            message: "User not found",
-          });
-        }
+      return studentUids.map((studentUid) => {
+        const completion = completionsByStudent[studentUid];
+        const completedLessons = completion?.completedLessons || 0;
 
-        res.json({
-          success: true,
-          user,
-        });
-      } catch (error) {
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
+        return {
+          studentUid,
+          completedLessons,
+          totalLessons: lessonIds.length,
+          percentage: lessonIds.length
+            ? Math.round((completedLessons / lessonIds.length) * 100)
+            : 0,
+          lastCompletedAt: completion?.lastCompletedAt || null,
+        };
+      });
+    };
+
+    const couponsCollection = database.collection("coupons");
+
+    couponsCollection
+      .createIndexes([
+        { key: { code: 1 }, unique: true },
+        { key: { createdBy: 1, createdAt: -1 } },
+      ])
+      .catch((error) => console.error("Error creating coupon indexes:", error));
+
+    // Check that a student can use a coupon code for a class, resolves with
+    // { code, message } when the coupon cannot be used or { coupon, pricing }
+    const resolveCoupon = async (couponCode, classData, studentUid) => {
+      const coupon = await couponsCollection.findOne({
+        code: String(couponCode).trim().toUpperCase(),
+      });
+
+      if (!coupon || !coupon.active) {
+        return { code: 404, message: "Coupon not found" };
       }
-    });
 
-    // Get all teacher applications
-    app.get("/teacher-applications", verifyJWT, async (req, res) => {
-      try {
-        const teacherApplicationsCollection = database.collection(
-          "teacher-applications"
-        );
-        const applications = await teacherApplicationsCollection
-          .find({})
-          .sort({ appliedAt: -1 })
-          .toArray();
+      if (coupon.classId && coupon.classId !== classData._id.toString()) {
+        return { code: 400, message: "Coupon is not valid for this class" };
+      }
 
-        res.json({
-          success: true,
-          applications,
-        });
-      } catch (error) {
-        console.error("Error fetching teacher applications:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
+      if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+        return { code: 400, message: "Coupon has expired" };
       }
-    });
 
-    // Update teacher application status
-    app.patch("/teacher-applications/:id", verifyJWT, async (req, res) => {
-      try {
-        const { id } = req.params;
-        const { status } = req.body;
+      if (
+        coupon.maxRedemptions !== null &&
+        coupon.redemptionCount >= coupon.maxRedemptions
+      ) {
+        return { code: 400, message: "Coupon has reached its usage limit" };
+      }
 
-        // Validate status
-        if (!["approved", "rejected", "pending"].includes(status)) {
-          return res.status(400).json({
-            success: false,
-            message:
-              "Invalid status. Must be 'approved', 'rejected', or 'pending'",
-          });
-        }
+      const studentRedemptions = await database
+        .collection("payments")
+        .countDocuments({
+          studentUid,
+          "coupon.couponId": coupon._id,
+        });
 
-        const teacherApplicationsCollection = database.collection(
-          "teacher-applications"
-        );
+      if (studentRedemptions >= coupon.perStudentLimit) {
+        return { code: 400, message: "You have already used this coupon" };
+      }
+
+      const pricing = applyCoupon(parseFloat(classData.price), coupon);
+
+      if (pricing.finalAmount < MIN_CHARGE_AMOUNT) {
+        return {
+          code: 400,
+          message: "The discounted price is below the minimum charge",
+        };
+      }
 
-        const result = await teacherApplicationsCollection.updateOne(
-          { _id: new ObjectId(id) },
+      return { coupon, pricing, studentRedemptions };
+    };
+
+    // Atomically reserve a redemption of a coupon while a student pays.
+    // Unexpired reservations count toward the coupon limits like
+    // redemptions, so concurrent checkouts cannot exceed them. A new checkout
+    // replaces the student's earlier reservation for the class, so reloading
+    // checkout does not use up the coupon. Resolves with the reservation ID,
+    // null when a limit has been reached
+    const reserveCoupon = async (
+      coupon,
+      classId,
+      studentUid,
+      studentRedemptions
+    ) => {
+      const reservationId = new ObjectId();
+      const expiresAt = new Date(
+        Date.now() + CHECKOUT_HOLD_MINUTES * 60 * 1000
+      );
+
+      const result = await couponsCollection.updateOne(
+        {
+          _id: coupon._id,
+          active: true,
+          $expr: {
+            $and: [
+              {
+                $or: [
+                  { $eq: [{ $ifNull: ["$maxRedemptions", null] }, null] },
+                  {
+                    $lt: [
+                      {
+                        $add: [
+                          "$redemptionCount",
+                          activeReservationsExpression(studentUid, classId),
+                        ],
+                      },
+                      "$maxRedemptions",
+                    ],
+                  },
+                ],
+              },
+              {
+                $lt: [
+                  {
+                    $add: [
+                      studentRedemptions,
+                      activeReservationsExpression(studentUid, classId, {
+                        ownOnly: true,
+                      }),
+                    ],
+                  },
+                  "$perStudentLimit",
+                ],
+              },
+            ],
+          },
+        },
+        [
           {
             $set: {
-              status,
-              reviewedAt: new Date(),
+              reservations: {
+                $concatArrays: [
+                  {
+                    $filter: {
+                      input: { $ifNull: ["$reservations", []] },
+                      cond: {
+                        $and: [
+                          { $gt: ["$$this.expiresAt", "$$NOW"] },
+                          {
+                            $not: [
+                              replacedReservationCondition(studentUid, classId),
+                            ],
+                          },
+                        ],
+                      },
+                    },
+                  },
+                  [{ id: reservationId, studentUid, classId, expiresAt }],
+                ],
+              },
             },
+          },
+        ]
+      );
+
+      return result.modifiedCount > 0 ? reservationId : null;
+    };
+
+    // Give back the coupon reservation of a PaymentIntent that was not paid
+    const releaseCouponReservation = async (paymentIntent) => {
+      const { couponId, couponReservationId } = paymentIntent.metadata || {};
+
+      if (
+        !ObjectId.isValid(couponId) ||
+        !ObjectId.isValid(couponReservationId)
+      ) {
+        return;
+      }
+
+      await couponsCollection.updateOne(
+        { _id: new ObjectId(couponId) },
+        { $pull: { reservations: { id: new ObjectId(couponReservationId) } } }
+      );
+    };
+
+    const stripeEventsCollection = database.collection("stripe-events");
+
+    // A transaction can only be recorded once, legacy payments without a
+    // transaction ID are left out of the indexes. They are built one by one
+    // so duplicate legacy transaction IDs (see
+    // scripts/flag-legacy-payments.js) cannot keep completeStripePayment
+    // from relying on the PaymentIntent index
+    database
+      .collection("payments")
+      .createIndex(
+        { stripePaymentIntentId: 1 },
+        {
+          unique: true,
+          partialFilterExpression: {
+            stripePaymentIntentId: { $type: "string" },
+          },
+        }
+      )
+      .catch((error) =>
+        console.error("Error creating payment intent index:", error)
+      );
+
+    database
+      .collection("payments")
+      .createIndex(
+        { transactionId: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { transactionId: { $type: "string" } },
+        }
+      )
+      .catch((error) =>
+        console.error(
+          "Error creating transaction index, run npm run payments:flag-legacy -- --fix-duplicates:",
+          error
+        )
+      );
+
+    // One failure record per PaymentIntent
+    database
+      .collection("payment-failures")
+      .createIndex({ stripePaymentIntentId: 1 }, { unique: true })
+      .catch((error) =>
+        console.error("Error creating payment failure indexes:", error)
+      );
+
+    // Apply a verified Stripe event, resolves with a short description of
+    // what was done for the stripe-events log
+    const handleStripeEvent = async (event) => {
+      const paymentsCollection = database.collection("payments");
+      const object = event.data.object;
+
+      switch (event.type) {
+        case "payment_intent.succeeded": {
+          const { classId, studentUid } = object.metadata || {};
+
+          if (!ObjectId.isValid(classId) || !studentUid) {
+            return "ignored: not a class payment";
           }
-        );
 
-        if (result.matchedCount === 0) {
-          return res.status(404).json({
-            success: false,
-            message: "Application not found",
+          const classData = await database
+            .collection("classes")
+            .findOne({ _id: new ObjectId(classId) });
+
+          // Left for the reconciliation job instead of enrolling the student
+          const mismatch =
+            classData && paymentIntentMismatch(object, classData, studentUid);
+
+          if (mismatch) {
+            console.error(`Stripe payment ${object.id} rejected: ${mismatch}`);
+            return `ignored: ${mismatch}`;
+          }
+
+          return completeStripePayment(object, {
+            classId,
+            studentUid,
+            amount: object.amount_received / 100,
+            source: "stripe_webhook",
           });
         }
 
-        res.json({
-          success: true,
-          message: `Application ${status} successfully`,
-        });
-      } catch (error) {
-        console.error("Error updating application:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
-      }
-    });
+        case "payment_intent.payment_failed": {
+          const { classId, studentUid } = object.metadata || {};
 
-    // Update teacher application content
-    app.put("/teacher-applications/:id", verifyJWT, async (req, res) => {
-      try {
-        const { id } = req.params;
-        const { title, experience, category } = req.body;
+          if (!ObjectId.isValid(classId) || !studentUid) {
+            return "ignored: not a class payment";
+          }
 
-        // Validate required fields
-        if (!title || !experience || !category) {
-          return res.status(400).json({
-            success: false,
-            message: "Missing required fields: title, experience, category",
+          // Failed attempts are kept apart from payments so support can see
+          // them without them counting as payments, a later success on the
+          // same PaymentIntent records the payment and marks them recovered
+          await database.collection("payment-failures").updateOne(
+            { stripePaymentIntentId: object.id },
+            {
+              $setOnInsert: {
+                stripePaymentIntentId: object.id,
+                classId,
+                studentUid,
+                amount: object.amount / 100,
+                createdAt: new Date(),
+              },
+              $set: {
+                failureMessage: object.last_payment_error?.message || null,
+                failedAt: new Date(),
+              },
+              $inc: { attempts: 1 },
+            },
+            { upsert: true }
+          );
+
+          await releaseCouponReservation(object);
+
+          await notify(
+            studentUid,
+            "payment.failed",
+            "Your payment for a class did not go through, please try again.",
+            { classId, paymentIntentId: object.id }
+          );
+
+          return "failed";
+        }
+
+        case "payment_intent.canceled": {
+          await releaseCouponReservation(object);
+          return "canceled";
+        }
+
+        case "charge.refunded": {
+          const payment = await paymentsCollection.findOne({
+            stripePaymentIntentId: object.payment_intent,
           });
+
+          if (!payment) {
+            return "ignored: unknown payment";
+          }
+
+          const status = object.refunded ? "refunded" : "partially_refunded";
+
+          await paymentsCollection.updateOne(
+            { _id: payment._id },
+            {
+              $set: {
+                status,
+                refundedAmount: object.amount_refunded / 100,
+                refundedAt: new Date(),
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          // Refunds made through refundPayment carry the payment ID in their
+          // metadata and already decided whether the student stays, only a
+          // full refund made in the Stripe dashboard gives the seat back here
+          if (status === "refunded") {
+            // Charges in events only list their refunds, newest first, on
+            // older API versions
+            let refunds = object.refunds?.data;
+            if (!refunds) {
+              const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+              const latest = await stripe.refunds.list({
+                charge: object.id,
+                limit: 1,
+              });
+              refunds = latest.data;
+            }
+
+            if (refunds[0]?.metadata?.paymentId) {
+              return status;
+            }
+
+            await database.collection("classes").updateOne(
+              { _id: new ObjectId(payment.classId) },
+              {
+                $pull: { enrolledStudents: payment.studentUid },
+                $set: { updatedAt: new Date() },
+              }
+            );
+            await offerFreedSeats(payment.classId);
+          }
+
+          return status;
         }
 
-        const teacherApplicationsCollection = database.collection(
-          "teacher-applications"
+        default:
+          return "ignored: unhandled event type";
+      }
+    };
+
+    const refundRequestsCollection = database.collection("refund-requests");
+
+    refundRequestsCollection
+      .createIndexes([
+        { key: { status: 1, requestedAt: -1 } },
+        { key: { studentUid: 1, requestedAt: -1 } },
+        // At most one pending request per payment
+        {
+          key: { paymentId: 1, status: 1 },
+          unique: true,
+          partialFilterExpression: { status: "pending" },
+        },
+      ])
+      .catch((error) =>
+        console.error("Error creating refund request indexes:", error)
+      );
+
+    // Refund a payment through Stripe, fully unless an amount is given, and
+    // record who refunded it and why. The student leaves the class after a
+    // full refund unless unenroll is false. Resolves with { code, message }
+    // when the payment cannot be refunded or { payment } once it is
+    const refundPayment = async (
+      payment,
+      { amount, reason, refundedBy, unenroll }
+    ) => {
+      if (!payment.stripePaymentIntentId) {
+        return { code: 400, message: "Only Stripe payments can be refunded" };
+      }
+
+      if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+        return {
+          code: 409,
+          message: `A ${payment.status} payment cannot be refunded`,
+        };
+      }
+
+      const refundable =
+        Math.round((payment.amount - (payment.refundedAmount || 0)) * 100) /
+        100;
+      const refundAmount = amount === undefined ? refundable : Number(amount);
+
+      if (
+        !Number.isFinite(refundAmount) ||
+        refundAmount <= 0 ||
+        refundAmount > refundable
+      ) {
+        return {
+          code: 400,
+          message: `Refund amount must be more than 0 and at most ${refundable}`,
+        };
+      }
+
+      // The key is tied to the refunded amount that was read, so concurrent
+      // refunds of the same payment become a single refund in Stripe
+      const previousRefundedAmount = payment.refundedAmount || 0;
+      let refund;
+      try {
+        const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+        refund = await stripe.refunds.create(
+          {
+            payment_intent: payment.stripePaymentIntentId,
+            amount: Math.round(refundAmount * 100),
+            metadata: {
+              paymentId: payment._id.toString(),
+              refundedBy,
+            },
+          },
+          {
+            idempotencyKey: `refund-${payment._id}-${Math.round(
+              previousRefundedAmount * 100
+            )}`,
+          }
         );
+      } catch (error) {
+        if (error.type === "StripeIdempotencyError") {
+          return {
+            code: 409,
+            message: "Payment is being refunded by another request",
+          };
+        }
+        throw error;
+      }
 
-        const result = await teacherApplicationsCollection.updateOne(
-          { _id: new ObjectId(id) },
+      const refundedAmount =
+        Math.round((previousRefundedAmount + refundAmount) * 100) / 100;
+      const status =
+        refundedAmount >= payment.amount ? "refunded" : "partially_refunded";
+
+      // Only the request whose read is still current records the refund, a
+      // concurrent one got the same refund back from Stripe. The webhook may
+      // already have stored the new total
+      const updatedPayment = await database
+        .collection("payments")
+        .findOneAndUpdate(
+          {
+            _id: payment._id,
+            "refunds.stripeRefundId": { $ne: refund.id },
+            refundedAmount: {
+              $in: [payment.refundedAmount ?? null, refundedAmount],
+            },
+          },
           {
             $set: {
-              title,
-              experience,
-              category,
-              status: "pending",
-              resubmittedAt: new Date(),
+              status,
+              refundedAmount,
+              refundedAt: new Date(),
               updatedAt: new Date(),
             },
-          }
+            $push: {
+              refunds: {
+                stripeRefundId: refund.id,
+                amount: refundAmount,
+                reason,
+                refundedBy,
+                refundedAt: new Date(),
+              },
+            },
+          },
+          { returnDocument: "after" }
         );
 
-        if (result.matchedCount === 0) {
-          return res.status(404).json({
-            success: false,
-            message: "Application not found",
-          });
-        }
+      if (!updatedPayment) {
+        return {
+          code: 409,
+          message: "Payment was refunded by another request",
+        };
+      }
 
-        res.json({
-          success: true,
-          message: "Application updated and resubmitted successfully",
-        });
-      } catch (error) {
-        console.error("Error updating application content:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
+      if (unenroll ?? status === "refunded") {
+        await database.collection("classes").updateOne(
+          { _id: new ObjectId(payment.classId) },
+          {
+            $pull: { enrolledStudents: payment.studentUid },
+            $set: { updatedAt: new Date() },
+          }
+        );
+        await offerFreedSeats(payment.classId);
       }
-    });
 
-    // Update user role
-    app.patch("/users/:uid", verifyJWT, async (req, res) => {
+      await notify(
+        payment.studentUid,
+        "payment.refunded",
+        `${refundAmount} ${PAYMENT_CURRENCY.toUpperCase()} of your payment has been refunded.`,
+        { paymentId: payment._id, classId: payment.classId, reason }
+      );
+
+      return { payment: updatedPayment };
+    };
+
+    // Ownership middleware for coupons, admins are exempt
+    // (must run after verifyRole)
+    const verifyCouponOwner = async (req, res, next) => {
       try {
-        const { uid } = req.params;
-        const { role } = req.body;
+        const { id } = req.params;
 
-        // Validate role
-        if (!["student", "teacher", "admin"].includes(role)) {
+        if (!ObjectId.isValid(id)) {
           return res.status(400).json({
             success: false,
-            message: "Invalid role",
+            message: "Invalid coupon ID format",
           });
         }
 
-        const result = await usersCollection.updateOne(
-          { uid },
-          {
-            $set: {
-              role,
-              updatedAt: new Date(),
-            },
-          }
-        );
+        const coupon = await couponsCollection.findOne({
+          _id: new ObjectId(id),
+        });
 
-        if (result.matchedCount === 0) {
+        if (!coupon) {
           return res.status(404).json({
             success: false,
-            message: "User not found",
+            message: "Coupon not found",
           });
         }
 
-        res.json({
-          success: true,
-          message: "User role updated successfully",
-        });
+        if (req.user.role !== "admin" && coupon.createdBy !== req.user.uid) {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden access",
+          });
+        }
+
+        req.coupon = coupon;
+        next();
       } catch (error) {
-        console.error("Error updating user role:", error);
+        console.error("Error verifying coupon ownership:", error);
         res.status(500).json({
           success: false,
           message: "Internal server error",
         });
       }
+    };
+
+    // Simple route
+    app.get("/", (req, res) => {
+      res.send("Hello, EduManage");
     });
 
-    // Get all users endpoint with pagination and search
-    app.get("/users", verifyJWT, async (req, res) => {
+    // JWT token creation endpoint
+    app.post("/jwt", async (req, res) => {
       try {
-        // Extract query parameters
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const search = req.query.search || "";
+        const { idToken } = req.body;
 
-        // Validate pagination parameters
-        const validatedPage = Math.max(1, page);
-        const validatedLimit = Math.min(Math.max(1, limit), 100); // Max 100 items per page
-        const skip = (validatedPage - 1) * validatedLimit;
+        if (!idToken) {
+          return res.status(400).json({ message: "ID token is required" });
+        }
 
-        // Build filter query
-        let filterQuery = {};
+        // Verify signature, issuer, audience and expiry of the ID token
+        let claims;
+        try {
+          claims = await verifyIdToken(idToken);
+        } catch (verifyError) {
+          return res.status(401).json({ message: "Invalid ID token" });
+        }
 
-        // Add search functionality
-        if (search.trim()) {
-          const searchRegex = new RegExp(search.trim(), "i"); // Case-insensitive search
-          filterQuery.$or = [{ name: searchRegex }, { email: searchRegex }];
+        if (!claims.sub || !claims.email) {
+          return res
+            .status(400)
+            .json({ message: "ID token has no subject or email" });
         }
 
-        // Get total count for pagination
-        const totalUsers = await usersCollection.countDocuments(filterQuery);
-        const totalPages = Math.ceil(totalUsers / validatedLimit);
+        // Anyone can sign up with an address they do not own
+        if (claims.email_verified !== true) {
+          return res.status(403).json({ message: "Email is not verified" });
+        }
 
-        // Fetch users with pagination
-        const users = await usersCollection
-          .find(filterQuery)
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(validatedLimit)
-          .toArray();
+        const user = await usersCollection.findOne({ uid: claims.sub });
 
-        res.json({
-          success: true,
-          users,
-          pagination: {
-            currentPage: validatedPage,
-            pageSize: validatedLimit,
-            totalUsers,
-            totalPages,
-            hasNextPage: validatedPage < totalPages,
-            hasPrevPage: validatedPage > 1,
-          },
-          // Legacy fields for backward compatibility
-          totalUsers,
-          totalPages,
+        if (isAccountBlocked(user)) {
+          return res.status(403).json({ message: accountBlockedMessage(user) });
+        }
+
+        // Create tokens with the verified identity as payload
+        const tokens = await issueTokens({
+          uid: claims.sub,
+          email: claims.email,
+          role: user ? user.role : "student",
         });
+
+        res.status(200).json(tokens);
       } catch (error) {
-        console.error("Error fetching users:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
+        res.status(500).json({ message: "Failed to create token" });
       }
     });
 
-    // Create a new class endpoint
-    app.post("/classes", verifyJWT, async (req, res) => {
+    // Exchange a refresh token for a new access and refresh token
+    app.post("/jwt/refresh", async (req, res) => {
       try {
-        const {
-          title,
-          teacherName,
-          teacherEmail,
-          teacherUid,
-          price,
-          description,
-          image,
-        } = req.body;
+        const { refreshToken } = req.body;
 
-        // Get classes collection
-        const classesCollection = database.collection("classes");
+        if (!refreshToken) {
+          return res.status(400).json({ message: "Refresh token is required" });
+        }
 
-        // Create class document
-        const classDoc = {
-          title,
-          teacherName,
-          teacherEmail,
-          teacherUid,
-          price: parseFloat(price),
-          description,
-          image,
-          status: "pending",
-          createdAt: new Date(),
-          updatedAt: new Date(),
-          enrolledStudents: [],
-        };
+        const tokenHash = hashToken(refreshToken);
 
-        // Insert class into database
-        const result = await classesCollection.insertOne(classDoc);
+        // Mark the token as used, this only succeeds once per token
+        const storedToken = await refreshTokensCollection.findOneAndUpdate(
+          {
+            tokenHash,
+            usedAt: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+          },
+          { $set: { usedAt: new Date() } }
+        );
 
-        res.status(201).json({
-          success: true,
-          message: "Class created successfully and awaiting approval",
-          classId: result.insertedId,
-        });
+        if (!storedToken) {
+          // A used or revoked token being presented again means it leaked,
+          // so revoke the whole token family
+          const reusedToken = await refreshTokensCollection.findOne({
+            tokenHash,
+          });
+          if (reusedToken) {
+            await revokeRefreshTokens({ familyId: reusedToken.familyId });
+          }
+
+          return res.status(401).json({ message: "Invalid refresh token" });
+        }
+
+        // Pick up role changes made since the last token was issued
+        const user = await usersCollection.findOne({ uid: storedToken.uid });
+
+        if (isAccountBlocked(user)) {
+          await revokeRefreshTokens({ familyId: storedToken.familyId });
+          return res.status(403).json({ message: accountBlockedMessage(user) });
+        }
+
+        const tokens = await issueTokens(
+          {
+            uid: storedToken.uid,
+            email: storedToken.email,
+            role: user ? user.role : "student",
+          },
+          storedToken.familyId
+        );
+
+        res.status(200).json(tokens);
       } catch (error) {
-        console.error("Error creating class:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
+        console.error("Error refreshing token:", error);
+        res.status(500).json({ message: "Failed to refresh token" });
       }
     });
 
-    // Get all classes endpoint with pagination, search, filtering, and sorting
-    app.get("/classes", async (req, res) => {
+    // Logout endpoint, revokes the refresh token family of this session
+    app.post("/logout", async (req, res) => {
       try {
-        const classesCollection = database.collection("classes");
-
-        // Extract query parameters
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 10;
-        const status = req.query.status || null;
-        const search = req.query.search || "";
-        const sortBy = req.query.sortBy || "createdAt";
-        const sortOrder = req.query.sortOrder || "desc";
+        const { refreshToken } = req.body;
 
-        // Validate pagination parameters
-        const validatedPage = Math.max(1, page);
-        const validatedLimit = Math.min(Math.max(1, limit), 100); // Max 100 items per page
-        const skip = (validatedPage - 1) * validatedLimit;
+        if (!refreshToken) {
+          return res.status(400).json({ message: "Refresh token is required" });
+        }
 
-        // Build filter query
-        let filterQuery = {};
+        const storedToken = await refreshTokensCollection.findOne({
+          tokenHash: hashToken(refreshToken),
+        });
 
-        // Filter by status if provided
-        if (status) {
-          filterQuery.status = status;
+        if (storedToken) {
+          await revokeRefreshTokens({ familyId: storedToken.familyId });
         }
 
-        // Add search functionality
-        if (search.trim()) {
-          const searchRegex = new RegExp(search.trim(), "i"); // Case-insensitive search
-          filterQuery.$or = [
-            { title: searchRegex },
-            { teacherName: searchRegex },
-            { description: searchRegex },
-          ];
-        }
+        res.status(200).json({ message: "Logged out successfully" });
+      } catch (error) {
+        console.error("Error logging out:", error);
+        res.status(500).json({ message: "Failed to log out" });
+      }
+    });
 
-        // Build sort object
-        let sortObject = {};
+    // Verify JWT token endpoint
+    app.get("/verify-jwt", verifyJWT, (req, res) => {
+      res.status(200).json({
+        message: "Token is valid",
+        email: req.decoded.email,
+      });
+    });
 
-        // Handle different sort types
-        if (sortBy === "enrolledStudents") {
-          // For sorting by enrollment count, we need to use aggregation
-          const pipeline = [
-            { $match: filterQuery },
-            {
-              $addFields: {
-                enrollmentCount: {
-                  $size: { $ifNull: ["$enrolledStudents", []] },
-                },
-              },
-            },
-            { $sort: { enrollmentCount: sortOrder === "desc" ? -1 : 1 } },
-            { $skip: skip },
-            { $limit: validatedLimit },
-          ];
-
-          // Get total count for pagination
-          const totalClasses = await classesCollection.countDocuments(
-            filterQuery
-          );
-          const totalPages = Math.ceil(totalClasses / validatedLimit);
+    // User registration endpoint
+    app.post("/users", verifyJWT, async (req, res) => {
+      try {
+        const { name, photoURL } = req.body;
 
-          // Execute aggregation pipeline
-          const classes = await classesCollection.aggregate(pipeline).toArray();
+        // Identity comes from the verified token, not the request body
+        const { uid, email } = req.decoded;
 
-          return res.json({
-            success: true,
-            classes,
-            pagination: {
-              currentPage: validatedPage,
-              pageSize: validatedLimit,
-              totalClasses,
-              totalPages,
-              hasNextPage: validatedPage < totalPages,
-              hasPrevPage: validatedPage > 1,
-            },
-            // Legacy fields for backward compatibility
-            totalClasses,
-            totalPages,
+        // Validate required fields
+        if (!name) {
+          return res.status(400).json({
+            success: false,
+            message: "Missing required field: name",
           });
-        } else {
-          // Regular sorting for other fields
-          if (sortBy === "price") {
-            sortObject.price = sortOrder === "desc" ? -1 : 1;
-          } else {
-            // Default to createdAt for any other sortBy value
-            sortObject.createdAt = sortOrder === "desc" ? -1 : 1;
-          }
         }
 
-        // Get total count for pagination
-        const totalClasses = await classesCollection.countDocuments(
-          filterQuery
-        );
-        const totalPages = Math.ceil(totalClasses / validatedLimit);
+        // Check if user already exists
+        const existingUser = await usersCollection.findOne({ uid });
+        if (existingUser) {
+          return res.status(409).json({
+            success: false,
+            message: "User already exists",
+          });
+        }
 
-        // Fetch classes with pagination and sorting
-        const classes = await classesCollection
-          .find(filterQuery)
-          .sort(sortObject)
-          .skip(skip)
-          .limit(validatedLimit)
-          .toArray();
+        // Create user document with student role
+        const userDoc = {
+          uid,
+          name,
+          email,
+          photoURL: photoURL || "",
+          role: "student",
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        };
 
-        res.json({
+        // Insert user into database
+        const result = await usersCollection.insertOne(userDoc);
+
+        res.status(201).json({
           success: true,
-          classes,
-          pagination: {
-            currentPage: validatedPage,
-            pageSize: validatedLimit,
-            totalClasses,
-            totalPages,
-            hasNextPage: validatedPage < totalPages,
-            hasPrevPage: validatedPage > 1,
-          },
-          // Legacy fields for backward compatibility
-          totalClasses,
-          totalPages,
+          message: "User registered successfully",
+          userId: result.insertedId,
         });
       } catch (error) {
-        console.error("Error fetching classes:", error);
         res.status(500).json({
           success: false,
           message: "Internal server error",
@@ -691,102 +2010,4294 @@ async function run() {
       }
     });
 
-    // Get classes by teacher UID with pagination
-    app.get("/classes/teacher/:uid", verifyJWT, async (req, res) => {
-      try {
-        const { uid } = req.params;
-        const classesCollection = database.collection("classes");
+    // Create teacher application
+    app.post(
+      "/teacher-applications",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { title, experience, category, appliedAt } = req.body;
 
-        // Extract query parameters
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 6;
+          // Applicant identity comes from the token, not the request body
+          const { uid, name, email, photoURL } = req.user;
 
-        // Validate pagination parameters
-        const validatedPage = Math.max(1, page);
-        const validatedLimit = Math.min(Math.max(1, limit), 100); // Max 100 items per page
-        const skip = (validatedPage - 1) * validatedLimit;
+          // Validate required fields
+          if (!title || !experience || !category) {
+            return res.status(400).json({
+              success: false,
+              message: "Missing required fields",
+            });
+          }
 
-        // Build filter query for teacher's classes
-        const filterQuery = { teacherUid: uid };
+          const teacherApplicationsCollection = database.collection(
+            "teacher-applications"
+          );
 
-        // Get total count for pagination
-        const totalClasses = await classesCollection.countDocuments(
-          filterQuery
-        );
-        const totalPages = Math.ceil(totalClasses / validatedLimit);
+          // Check if user has already submitted an application
+          const existingApplication =
+            await teacherApplicationsCollection.findOne({
+              uid: uid,
+            });
 
-        // Fetch classes with pagination
-        const classes = await classesCollection
-          .find(filterQuery)
-          .sort({ createdAt: -1 })
-          .skip(skip)
-          .limit(validatedLimit)
-          .toArray();
+          if (existingApplication) {
+            return res.status(409).json({
+              success: false,
+              message: "You have already submitted a teaching application",
+            });
+          }
 
-        res.json({
-          success: true,
-          classes,
-          pagination: {
-            currentPage: validatedPage,
-            pageSize: validatedLimit,
-            totalClasses,
-            totalPages,
-            hasNextPage: validatedPage < totalPages,
-            hasPrevPage: validatedPage > 1,
-          },
-          // Legacy fields for backward compatibility
-          totalClasses,
-          totalPages,
-        });
-      } catch (error) {
-        console.error("Error fetching teacher classes:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
-      }
-    });
+          // Create application document
+          const applicationDoc = {
+            uid,
+            name,
+            email,
+            photoURL: photoURL || "",
+            title,
+            experience,
+            category,
+            status: "pending",
+            appliedAt: appliedAt ? new Date(appliedAt) : new Date(),
+            createdAt: new Date(),
+            resubmissionCount: 0,
+            // Append-only record of submissions, reviews and comments
+            history: [
+              {
+                type: "submitted",
+                title,
+                experience,
+                category,
+                by: uid,
+                at: new Date(),
+              },
+            ],
+          };
 
-    // Update class status (for admin approval/rejection)
-    app.patch("/classes/:id", verifyJWT, async (req, res) => {
-      try {
-        const { id } = req.params;
-        const { status } = req.body;
+          // Insert application into database
+          const result = await teacherApplicationsCollection.insertOne(
+            applicationDoc
+          );
 
-        // Validate status
-        if (!["approved", "rejected", "pending"].includes(status)) {
-          return res.status(400).json({
+          res.status(201).json({
+            success: true,
+            message: "Teacher application submitted successfully",
+            applicationId: result.insertedId,
+          });
+        } catch (error) {
+          console.error("Error creating teacher application:", error);
+          res.status(500).json({
             success: false,
-            message:
-              "Invalid status. Must be 'approved', 'rejected', or 'pending'",
+            message: "Internal server error",
           });
         }
+      }
+    );
 
-        const classesCollection = database.collection("classes");
+    // Get all teacher applications with pagination, filters and search
+    app.get(
+      "/teacher-applications",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const teacherApplicationsCollection = database.collection(
+            "teacher-applications"
+          );
 
-        const result = await classesCollection.updateOne(
-          { _id: new ObjectId(id) },
-          {
-            $set: {
-              status,
-              updatedAt: new Date(),
-            },
+          const invalidParam = findNonStringQueryParam(req.query, [
+            "status",
+            "category",
+            "experience",
+            "search",
+            "appliedFrom",
+            "appliedTo",
+          ]);
+
+          if (invalidParam) {
+            return res.status(400).json({
+              success: false,
+              message: `Invalid ${invalidParam} parameter`,
+            });
           }
-        );
 
-        if (result.matchedCount === 0) {
-          return res.status(404).json({
+          // Extract query parameters
+          const status = req.query.status || null;
+          const category = req.query.category || null;
+          const experience = req.query.experience || null;
+          const search = req.query.search || "";
+          const appliedFrom = req.query.appliedFrom || null;
+          const appliedTo = req.query.appliedTo || null;
+
+          // Build filter query (everything except the status tab)
+          let baseQuery = {};
+
+          if (category) {
+            baseQuery.category = category;
+          }
+
+          if (experience) {
+            baseQuery.experience = experience;
+          }
+
+          // Filter by application date range
+          if (appliedFrom || appliedTo) {
+            baseQuery.appliedAt = {};
+            if (appliedFrom) {
+              baseQuery.appliedAt.$gte = new Date(appliedFrom);
+            }
+            if (appliedTo) {
+              baseQuery.appliedAt.$lte = new Date(appliedTo);
+            }
+            if (
+              Object.values(baseQuery.appliedAt).some((date) =>
+                isNaN(date.getTime())
+              )
+            ) {
+              return res.status(400).json({
+                success: false,
+                message: "Invalid appliedFrom or appliedTo date",
+              });
+            }
+          }
+
+          // Add search functionality
+          if (search.trim()) {
+            const searchRegex = new RegExp(escapeRegex(search.trim()), "i"); // Case-insensitive search
+            baseQuery.$or = [
+              { name: searchRegex },
+              { email: searchRegex },
+              { title: searchRegex },
+            ];
+          }
+
+          const filterQuery = status ? { ...baseQuery, status } : baseQuery;
+
+          // Get per-status counts for the dashboard tabs
+          const countsByStatus = await teacherApplicationsCollection
+            .aggregate([
+              { $match: baseQuery },
+              { $group: { _id: "$status", count: { $sum: 1 } } },
+            ])
+            .toArray();
+
+          const statusCounts = { all: 0, pending: 0, approved: 0, rejected: 0 };
+          countsByStatus.forEach(({ _id, count }) => {
+            statusCounts[_id] = count;
+            statusCounts.all += count;
+          });
+
+          // Fetch applications with pagination
+          const {
+            error,
+            items: applications,
+            pagination,
+          } = await paginateQuery(teacherApplicationsCollection, req.query, {
+            defaultLimit: 5,
+            filter: filterQuery,
+            sort: { appliedAt: -1 },
+            totalKey: "totalApplications",
+          });
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          res.json({
+            success: true,
+            applications,
+            statusCounts,
+            pagination,
+            // Legacy fields for backward compatibility
+            totalApplications: pagination.totalApplications,
+            totalPages: pagination.totalPages,
+          });
+        } catch (error) {
+          console.error("Error fetching teacher applications:", error);
+          res.status(500).json({
             success: false,
-            message: "Class not found",
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get user by UID endpoint
+    app.get(
+      "/users/:uid",
+      verifyJWT,
+      verifyUser,
+      verifySelf,
+      async (req, res) => {
+        try {
+          const { uid } = req.params;
+          const user = await usersCollection.findOne({ uid });
+
+          if (!user) {
+            return res.status(404).json({
+              success: false,
+              message: "User not found",
+            });
+          }
+
+          res.json({
+            success: true,
+            user,
+          });
+        } catch (error) {
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get the caller's own teacher application and its review history
+    app.get(
+      "/teacher-applications/me",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const teacherApplicationsCollection = database.collection(
+            "teacher-applications"
+          );
+
+          const application = await teacherApplicationsCollection.findOne({
+            uid: req.user.uid,
+          });
+
+          if (!application) {
+            return res.status(404).json({
+              success: false,
+              message: "Application not found",
+            });
+          }
+
+          const resubmissionCount = application.resubmissionCount || 0;
+
+          res.json({
+            success: true,
+            application,
+            resubmissionsRemaining: Math.max(
+              0,
+              MAX_APPLICATION_RESUBMISSIONS - resubmissionCount
+            ),
+            resubmitAvailableAt:
+              application.status === "rejected" && application.reviewedAt
+                ? new Date(
+                    application.reviewedAt.getTime() +
+                      APPLICATION_RESUBMIT_COOLDOWN_HOURS * 60 * 60 * 1000
+                  )
+                : null,
+          });
+        } catch (error) {
+          console.error("Error fetching own teacher application:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Add a comment to a teacher application's feedback thread
+    // (the applicant or an admin)
+    app.post(
+      "/teacher-applications/:id/comments",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { comment } = req.body;
+
+          if (comment != null && typeof comment !== "string") {
+            return res.status(400).json({
+              success: false,
+              message: "Comment must be text",
+            });
+          }
+
+          if (!comment?.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: "Comment is required",
+            });
+          }
+
+          const teacherApplicationsCollection = database.collection(
+            "teacher-applications"
+          );
+
+          // Non-admins can only comment on their own application
+          const filter = { _id: new ObjectId(id) };
+          if (req.user.role !== "admin") {
+            filter.uid = req.user.uid;
+          }
+
+          const result = await teacherApplicationsCollection.updateOne(filter, {
+            $push: {
+              history: {
+                type: "comment",
+                comment: comment.trim(),
+                by: req.user.uid,
+                role: req.user.role,
+                at: new Date(),
+              },
+            },
+          });
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "Application not found",
+            });
+          }
+
+          res.status(201).json({
+            success: true,
+            message: "Comment added successfully",
+          });
+        } catch (error) {
+          console.error("Error adding application comment:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Update teacher application status
+    app.patch(
+      "/teacher-applications/:id",
+      verifyJWT,
+      verifyAdmin,
+      audit("teacher-application.review", "teacher-application"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { status, reason, comment } = req.body;
+
+          // Validate status
+          if (!["approved", "rejected"].includes(status)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid status. Must be 'approved' or 'rejected'",
+            });
+          }
+
+          if (reason != null && typeof reason !== "string") {
+            return res.status(400).json({
+              success: false,
+              message: "Reason must be text",
+            });
+          }
+
+          if (comment != null && typeof comment !== "string") {
+            return res.status(400).json({
+              success: false,
+              message: "Comment must be text",
+            });
+          }
+
+          // Rejections must tell the applicant why
+          if (status === "rejected" && !reason?.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: "A rejection reason is required",
+            });
+          }
+
+          const teacherApplicationsCollection = database.collection(
+            "teacher-applications"
+          );
+
+          // Review the application and update the applicant's role together
+          let outcome;
+          const session = client.startSession();
+          try {
+            await session.withTransaction(async () => {
+              outcome = null;
+
+              const application = await teacherApplicationsCollection.findOne(
+                { _id: new ObjectId(id) },
+                { session }
+              );
+
+              if (!application) {
+                outcome = { code: 404, message: "Application not found" };
+                return;
+              }
+
+              if (
+                !APPLICATION_TRANSITIONS[application.status]?.includes(status)
+              ) {
+                outcome = {
+                  code: 409,
+                  message: `Cannot change application from '${application.status}' to '${status}'`,
+                };
+                return;
+              }
+
+              const applicant = await usersCollection.findOne(
+                { uid: application.uid },
+                { session }
+              );
+
+              if (!applicant) {
+                outcome = { code: 404, message: "Applicant not found" };
+                return;
+              }
+
+              if (applicant.role === "admin") {
+                outcome = {
+                  code: 409,
+                  message: "Applicant is already an admin",
+                };
+                return;
+              }
+
+              await teacherApplicationsCollection.updateOne(
+                { _id: application._id },
+                {
+                  $set: {
+                    status,
+                    rejectionReason:
+                      status === "rejected" ? reason.trim() : null,
+                    reviewedBy: req.user.uid,
+                    reviewedAt: new Date(),
+                  },
+                  $push: {
+                    history: {
+                      type: status,
+                      reason: status === "rejected" ? reason.trim() : null,
+                      comment: comment?.trim() || null,
+                      by: req.user.uid,
+                      at: new Date(),
+                    },
+                  },
+                },
+                { session }
+              );
+
+              if (status === "approved") {
+                // Tokens issued before the role change are no longer accepted
+                await usersCollection.updateOne(
+                  { uid: applicant.uid },
+                  {
+                    $set: {
+                      role: "teacher",
+                      tokensValidAfter: new Date(),
+                      updatedAt: new Date(),
+                    },
+                  },
+                  { session }
+                );
+              }
+            });
+          } finally {
+            await session.endSession();
+          }
+
+          if (outcome) {
+            return res.status(outcome.code).json({
+              success: false,
+              message: outcome.message,
+            });
+          }
+
+          res.json({
+            success: true,
+            message: `Application ${status} successfully`,
+          });
+        } catch (error) {
+          console.error("Error updating application:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Update teacher application content
+    app.put(
+      "/teacher-applications/:id",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { title, experience, category } = req.body;
+
+          // Validate required fields
+          if (!title || !experience || !category) {
+            return res.status(400).json({
+              success: false,
+              message: "Missing required fields: title, experience, category",
+            });
+          }
+
+          const teacherApplicationsCollection = database.collection(
+            "teacher-applications"
+          );
+
+          // Applicants can only resubmit their own application
+          const application = await teacherApplicationsCollection.findOne({
+            _id: new ObjectId(id),
+            uid: req.user.uid,
+          });
+
+          if (!application) {
+            return res.status(404).json({
+              success: false,
+              message: "Application not found",
+            });
+          }
+
+          if (application.status !== "rejected") {
+            return res.status(409).json({
+              success: false,
+              message: "Only rejected applications can be resubmitted",
+            });
+          }
+
+          const resubmissionCount = application.resubmissionCount || 0;
+          if (resubmissionCount >= MAX_APPLICATION_RESUBMISSIONS) {
+            return res.status(429).json({
+              success: false,
+              message: "You have reached the maximum number of resubmissions",
+            });
+          }
+
+          const availableAt = new Date(
+            (application.reviewedAt || application.appliedAt).getTime() +
+              APPLICATION_RESUBMIT_COOLDOWN_HOURS * 60 * 60 * 1000
+          );
+          if (availableAt > new Date()) {
+            return res.status(429).json({
+              success: false,
+              message: "You cannot resubmit your application yet",
+              availableAt,
+            });
+          }
+
+          // Keep the previous submission in the history instead of losing it.
+          // Applications rejected before resubmissions were counted have no
+          // resubmissionCount yet
+          const result = await teacherApplicationsCollection.updateOne(
+            {
+              _id: application._id,
+              status: "rejected",
+              resubmissionCount:
+                resubmissionCount === 0
+                  ? { $in: [0, null] }
+                  : resubmissionCount,
+            },
+            {
+              $set: {
+                title,
+                experience,
+                category,
+                status: "pending",
+                resubmittedAt: new Date(),
+                updatedAt: new Date(),
+              },
+              $inc: { resubmissionCount: 1 },
+              $push: {
+                history: {
+                  type: "resubmitted",
+                  title,
+                  experience,
+                  category,
+                  by: req.user.uid,
+                  at: new Date(),
+                },
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(409).json({
+              success: false,
+              message: "Application was changed, please try again",
+            });
+          }
+
+          res.json({
+            success: true,
+            message: "Application updated and resubmitted successfully",
+          });
+        } catch (error) {
+          console.error("Error updating application content:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Update the caller's own profile
+    // (registered before /users/:uid so "me" is not taken as a UID)
+    app.patch("/users/me", verifyJWT, verifyUser, async (req, res) => {
+      try {
+        const { error, update } = validateProfileUpdate(req.body);
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+          });
+        }
+
+        const { uid } = req.user;
+
+        await usersCollection.updateOne(
+          { uid },
+          { $set: { ...update, updatedAt: new Date() } }
+        );
+
+        // Keep denormalized copies of the name and photo in sync
+        const syncUpdates = [];
+
+        if (update.name !== undefined && update.name !== req.user.name) {
+          syncUpdates.push(
+            database
+              .collection("classes")
+              .updateMany(
+                { teacherUid: uid },
+                { $set: { teacherName: update.name } }
+              ),
+            ...[
+              "submissions",
+              "payments",
+              "teaching-evaluations",
+              "waitlists",
+              "refund-requests",
+            ].map((collectionName) =>
+              database
+                .collection(collectionName)
+                .updateMany(
+                  { studentUid: uid },
+                  { $set: { studentName: update.name } }
+                )
+            )
+          );
+        }
+
+        const applicationUpdate = {};
+        if (update.name !== undefined) {
+          applicationUpdate.name = update.name;
+        }
+        if (update.photoURL !== undefined) {
+          applicationUpdate.photoURL = update.photoURL;
+        }
+        if (Object.keys(applicationUpdate).length > 0) {
+          syncUpdates.push(
+            database
+              .collection("teacher-applications")
+              .updateOne({ uid }, { $set: applicationUpdate })
+          );
+        }
+
+        await Promise.all(syncUpdates);
+
+        const user = await usersCollection.findOne({ uid });
+
+        res.json({
+          success: true,
+          message: "Profile updated successfully",
+          user,
+        });
+      } catch (error) {
+        console.error("Error updating profile:", error);
+        res.status(500).json({
+          success: false,
+          message: "Internal server error",
+        });
+      }
+    });
+
+    // Update user role
+    app.patch(
+      "/users/:uid",
+      verifyJWT,
+      verifyAdmin,
+      audit("user.role.update", "user", (req) => req.params.uid),
+      async (req, res) => {
+        try {
+          const { uid } = req.params;
+          const { role } = req.body;
+
+          // Validate role
+          if (!["student", "teacher", "admin"].includes(role)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid role",
+            });
+          }
+
+          // Tokens issued before the role change are no longer accepted
+          const result = await usersCollection.updateOne(
+            { uid },
+            {
+              $set: {
+                role,
+                tokensValidAfter: new Date(),
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "User not found",
+            });
+          }
+
+          res.json({
+            success: true,
+            message: "User role updated successfully",
+          });
+        } catch (error) {
+          console.error("Error updating user role:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Sign a user out of every session (the user themselves or an admin)
+    app.post(
+      "/users/:uid/sign-out",
+      verifyJWT,
+      verifyUser,
+      verifySelf,
+      audit("user.sign-out", "user", (req) => req.params.uid),
+      async (req, res) => {
+        try {
+          const { uid } = req.params;
+
+          const result = await usersCollection.updateOne(
+            { uid },
+            {
+              $set: {
+                tokensValidAfter: new Date(),
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "User not found",
+            });
+          }
+
+          await revokeRefreshTokens({ uid });
+
+          res.json({
+            success: true,
+            message: "User signed out of all sessions",
+          });
+        } catch (error) {
+          console.error("Error signing out user:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Change a user's account status (admin only)
+    app.patch(
+      "/users/:uid/status",
+      verifyJWT,
+      verifyAdmin,
+      audit("user.status.update", "user", (req) => req.params.uid),
+      async (req, res) => {
+        try {
+          const { uid } = req.params;
+          const { status, reason, suspendedUntil } = req.body;
+
+          // Validate status
+          if (!ACCOUNT_STATUSES.includes(status)) {
+            return res.status(400).json({
+              success: false,
+              message:
+                "Invalid status. Must be 'active', 'suspended', or 'deleted'",
+            });
+          }
+
+          if (reason != null && typeof reason !== "string") {
+            return res.status(400).json({
+              success: false,
+              message: "Reason must be text",
+            });
+          }
+
+          if (status !== "active" && !reason?.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: "A reason is required",
+            });
+          }
+
+          const suspendedUntilDate =
+            status === "suspended" && suspendedUntil
+              ? new Date(suspendedUntil)
+              : null;
+
+          if (
+            suspendedUntilDate &&
+            (isNaN(suspendedUntilDate.getTime()) ||
+              suspendedUntilDate <= new Date())
+          ) {
+            return res.status(400).json({
+              success: false,
+              message: "suspendedUntil must be a future date",
+            });
+          }
+
+          if (uid === req.user.uid) {
+            return res.status(400).json({
+              success: false,
+              message: "You cannot change your own account status",
+            });
+          }
+
+          // Payment records are kept, only the user document is flagged
+          const update = {
+            status,
+            statusReason: reason?.trim() || null,
+            suspendedUntil: suspendedUntilDate,
+            deletedAt: status === "deleted" ? new Date() : null,
+            statusChangedBy: req.user.uid,
+            statusChangedAt: new Date(),
+            updatedAt: new Date(),
+          };
+
+          // Tokens issued before a block are no longer accepted
+          if (status !== "active") {
+            update.tokensValidAfter = new Date();
+          }
+
+          const result = await usersCollection.updateOne(
+            { uid },
+            { $set: update }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "User not found",
+            });
+          }
+
+          // End the user's sessions when the account is blocked
+          if (status !== "active") {
+            await revokeRefreshTokens({ uid });
+          }
+
+          res.json({
+            success: true,
+            message: `User account ${status} successfully`,
+          });
+        } catch (error) {
+          console.error("Error updating user status:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get all users endpoint with pagination and search
+    app.get("/users", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const invalidParam = findNonStringQueryParam(req.query, [
+          "search",
+          "sortBy",
+          "accountStatus",
+        ]);
+
+        if (invalidParam) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${invalidParam} parameter`,
+          });
+        }
+
+        // Extract query parameters
+        const search = (req.query.search || "")
+          .trim()
+          .slice(0, MAX_SEARCH_LENGTH);
+        const sortBy = req.query.sortBy || "createdAt";
+        const accountStatus = req.query.accountStatus || null;
+
+        // Build filter query, soft-deleted users are hidden unless asked for
+        let filterQuery = {};
+
+        if (accountStatus === "active") {
+          filterQuery.status = { $in: ["active", null] };
+        } else if (accountStatus) {
+          filterQuery.status = accountStatus;
+        } else {
+          filterQuery.status = { $ne: "deleted" };
+        }
+
+        // Add search functionality
+        let textSearch = false;
+        if (search) {
+          ({ filter: filterQuery, textSearch } = await applySearch(
+            usersCollection,
+            filterQuery,
+            search,
+            ["name", "email"]
+          ));
+        }
+
+        // Relevance sorting is only available for text searches
+        const sortObject =
+          sortBy === "relevance" && textSearch
+            ? { score: -1, createdAt: -1 }
+            : { createdAt: -1 };
+
+        // Fetch users with pagination
+        let {
+          error,
+          items: users,
+          pagination,
+        } = await paginateQuery(usersCollection, req.query, {
+          defaultLimit: 10,
+          filter: filterQuery,
+          stages: textSearch
+            ? [{ $addFields: { score: { $meta: "textScore" } } }]
+            : [],
+          sort: sortObject,
+          totalKey: "totalUsers",
+        });
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+          });
+        }
+
+        if (search) {
+          const terms = parseSearchTerms(search);
+          users = users.map((user) => ({
+            ...user,
+            highlights: buildHighlights(user, ["name", "email"], terms),
+          }));
+        }
+
+        res.json({
+          success: true,
+          users,
+          pagination,
+          // Legacy fields for backward compatibility
+          totalUsers: pagination.totalUsers,
+          totalPages: pagination.totalPages,
+        });
+      } catch (error) {
+        console.error("Error fetching users:", error);
+        res.status(500).json({
+          success: false,
+          message: "Internal server error",
+        });
+      }
+    });
+
+    // Create a new class endpoint
+    app.post("/classes", verifyJWT, verifyTeacher, async (req, res) => {
+      try {
+        const { title, price, description, image } = req.body;
+
+        const { error, metadata } = validateClassMetadata(req.body);
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+          });
+        }
+
+        // Teacher identity comes from the token, not the request body
+        const {
+          uid: teacherUid,
+          name: teacherName,
+          email: teacherEmail,
+        } = req.user;
+
+        // Get classes collection
+        const classesCollection = database.collection("classes");
+
+        // Create class document
+        const classDoc = {
+          title,
+          teacherName,
+          teacherEmail,
+          teacherUid,
+          price: parseFloat(price),
+          description,
+          image,
+          ...metadata,
+          status: "pending",
+          createdAt: new Date(),
+          updatedAt: new Date(),
+          enrolledStudents: [],
+          submittedForReviewAt: new Date(),
+          // Append-only record of review submissions and decisions
+          moderationHistory: [
+            {
+              action: "submitted",
+              status: "pending",
+              by: teacherUid,
+              at: new Date(),
+            },
+          ],
+        };
+
+        // Insert class into database
+        const result = await classesCollection.insertOne(classDoc);
+
+        res.status(201).json({
+          success: true,
+          message: "Class created successfully and awaiting approval",
+          classId: result.insertedId,
+        });
+      } catch (error) {
+        console.error("Error creating class:", error);
+        res.status(500).json({
+          success: false,
+          message: "Internal server error",
+        });
+      }
+    });
+
+    // Get all classes endpoint with pagination, search, filtering, and sorting
+    app.get("/classes", async (req, res) => {
+      try {
+        const classesCollection = database.collection("classes");
+
+        const invalidParam = findNonStringQueryParam(req.query, [
+          "status",
+          "search",
+          "sortBy",
+          "sortOrder",
+          "category",
+          "tags",
+          "level",
+          "language",
+          "teacher",
+          "minPrice",
+          "maxPrice",
+        ]);
+
+        if (invalidParam) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${invalidParam} parameter`,
+          });
+        }
+
+        // Extract query parameters
+        const status = req.query.status || null;
+        const search = (req.query.search || "")
+          .trim()
+          .slice(0, MAX_SEARCH_LENGTH);
+        const sortBy = req.query.sortBy || "createdAt";
+        const sortOrder = req.query.sortOrder || "desc";
+        const category = req.query.category || null;
+        const tags = req.query.tags
+          ? req.query.tags.split(",").map((tag) => tag.trim().toLowerCase())
+          : [];
+        const level = req.query.level || null;
+        const language = req.query.language || null;
+        const teacher = req.query.teacher || null;
+        const minPrice = parseFloat(req.query.minPrice);
+        const maxPrice = parseFloat(req.query.maxPrice);
+
+        // Build filter query, archived classes are only reachable by their
+        // enrolled students
+        let filterQuery = { status: { $ne: "archived" } };
+
+        // Filter by status if provided
+        if (status) {
+          filterQuery.status = { $eq: status, $ne: "archived" };
+        }
+
+        if (category) {
+          filterQuery.category = category;
+        }
+
+        // Classes must have every requested tag
+        if (tags.length > 0) {
+          filterQuery.tags = { $all: tags };
+        }
+
+        if (level) {
+          filterQuery.level = level;
+        }
+
+        if (language) {
+          filterQuery.language = language;
+        }
+
+        if (teacher) {
+          filterQuery.teacherUid = teacher;
+        }
+
+        // Filter by price range
+        if (!isNaN(minPrice) || !isNaN(maxPrice)) {
+          filterQuery.price = {};
+          if (!isNaN(minPrice)) {
+            filterQuery.price.$gte = minPrice;
+          }
+          if (!isNaN(maxPrice)) {
+            filterQuery.price.$lte = maxPrice;
+          }
+        }
+
+        // Add search functionality
+        let textSearch = false;
+        if (search) {
+          ({ filter: filterQuery, textSearch } = await applySearch(
+            classesCollection,
+            filterQuery,
+            search,
+            ["title", "teacherName", "description"]
+          ));
+        }
+
+        // Build sort object
+        let sortObject = {};
+
+        // Handle different sort types, relevance is only available for
+        // text searches
+        if (sortBy === "relevance" && textSearch) {
+          sortObject.score = -1;
+          sortObject.createdAt = -1;
+        } else if (sortBy === "enrolledStudents") {
+          sortObject.enrollmentCount = sortOrder === "desc" ? -1 : 1;
+        } else if (sortBy === "price") {
+          sortObject.price = sortOrder === "desc" ? -1 : 1;
+        } else {
+          // Default to createdAt for any other sortBy value
+          sortObject.createdAt = sortOrder === "desc" ? -1 : 1;
+        }
+
+        // Fetch classes with pagination and sorting
+        let {
+          error,
+          items: classes,
+          pagination,
+        } = await paginateQuery(classesCollection, req.query, {
+          defaultLimit: 10,
+          filter: filterQuery,
+          stages: [
+            ...(textSearch
+              ? [{ $addFields: { score: { $meta: "textScore" } } }]
+              : []),
+            {
+              $addFields: {
+                enrollmentCount: {
+                  $size: { $ifNull: ["$enrolledStudents", []] },
+                },
+              },
+            },
+            // Meeting links are only shared with enrolled students
+            { $unset: ["seatHolds", "schedule.meetingLink"] },
+          ],
+          sort: sortObject,
+          totalKey: "totalClasses",
+        });
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+          });
+        }
+
+        if (search) {
+          const terms = parseSearchTerms(search);
+          classes = classes.map((classItem) => ({
+            ...classItem,
+            highlights: buildHighlights(
+              classItem,
+              ["title", "teacherName", "description"],
+              terms
+            ),
+          }));
+        }
+
+        // Get the facet counts for every class matching the filters
+        const [result] = await classesCollection
+          .aggregate([
+            { $match: filterQuery },
+            {
+              $facet: {
+                categories: [
+                  { $match: { category: { $type: "string" } } },
+                  { $group: { _id: "$category", count: { $sum: 1 } } },
+                  { $sort: { count: -1, _id: 1 } },
+                ],
+                tags: [
+                  { $unwind: "$tags" },
+                  { $group: { _id: "$tags", count: { $sum: 1 } } },
+                  { $sort: { count: -1, _id: 1 } },
+                  { $limit: 50 },
+                ],
+                levels: [
+                  { $match: { level: { $type: "string" } } },
+                  { $group: { _id: "$level", count: { $sum: 1 } } },
+                ],
+                priceBuckets: [
+                  { $match: { price: { $type: "number" } } },
+                  {
+                    $bucket: {
+                      groupBy: "$price",
+                      boundaries: [...PRICE_BUCKET_BOUNDARIES, Infinity],
+                      default: "other",
+                      output: { count: { $sum: 1 } },
+                    },
+                  },
+                ],
+              },
+            },
+          ])
+          .toArray();
+
+        const toFacet = ({ _id, count }) => ({ value: _id, count });
+        const facets = {
+          categories: result.categories.map(toFacet),
+          tags: result.tags.map(toFacet),
+          levels: result.levels.map(toFacet),
+          priceBuckets: result.priceBuckets
+            .filter(({ _id }) => _id !== "other")
+            .map(({ _id, count }) => {
+              const index = PRICE_BUCKET_BOUNDARIES.indexOf(_id);
+              return {
+                min: _id,
+                max: PRICE_BUCKET_BOUNDARIES[index + 1] ?? null,
+                count,
+              };
+            }),
+        };
+
+        res.json({
+          success: true,
+          classes,
+          facets,
+          pagination,
+          // Legacy fields for backward compatibility
+          totalClasses: pagination.totalClasses,
+          totalPages: pagination.totalPages,
+        });
+      } catch (error) {
+        console.error("Error fetching classes:", error);
+        res.status(500).json({
+          success: false,
+          message: "Internal server error",
+        });
+      }
+    });
+
+    // Get classes awaiting review, oldest first (admin only)
+    app.get(
+      "/classes/moderation-queue",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const classesCollection = database.collection("classes");
+
+          const filterQuery = { status: "pending" };
+
+          // Fetch pending classes
+          const {
+            error,
+            items: classes,
+            pagination,
+          } = await paginateQuery(classesCollection, req.query, {
+            defaultLimit: 10,
+            filter: filterQuery,
+            stages: [
+              {
+                $addFields: {
+                  queuedAt: {
+                    $ifNull: ["$submittedForReviewAt", "$createdAt"],
+                  },
+                },
+              },
+            ],
+            sort: { queuedAt: 1 },
+            totalKey: "totalClasses",
+          });
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          res.json({
+            success: true,
+            classes,
+            pagination,
+          });
+        } catch (error) {
+          console.error("Error fetching moderation queue:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get class revisions awaiting review, oldest first (admin only)
+    app.get(
+      "/classes/revisions/pending",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const filterQuery = { status: "pending" };
+
+          const {
+            error,
+            items: revisions,
+            pagination,
+          } = await paginateQuery(classRevisionsCollection, req.query, {
+            defaultLimit: 10,
+            filter: filterQuery,
+            sort: { submittedAt: 1 },
+            totalKey: "totalRevisions",
+          });
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          res.json({
+            success: true,
+            revisions,
+            pagination,
+          });
+        } catch (error) {
+          console.error("Error fetching pending class revisions:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get classes by teacher UID with pagination
+    app.get(
+      "/classes/teacher/:uid",
+      verifyJWT,
+      verifyTeacher,
+      verifySelf,
+      async (req, res) => {
+        try {
+          const { uid } = req.params;
+          const classesCollection = database.collection("classes");
+
+          // Build filter query for teacher's classes
+          const filterQuery = { teacherUid: uid };
+
+          // Fetch classes with pagination
+          const {
+            error,
+            items: classes,
+            pagination,
+          } = await paginateQuery(classesCollection, req.query, {
+            defaultLimit: 6,
+            filter: filterQuery,
+            sort: { createdAt: -1 },
+            totalKey: "totalClasses",
+          });
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          res.json({
+            success: true,
+            classes,
+            pagination,
+            // Legacy fields for backward compatibility
+            totalClasses: pagination.totalClasses,
+            totalPages: pagination.totalPages,
+          });
+        } catch (error) {
+          console.error("Error fetching teacher classes:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Update class status (for admin approval/rejection)
+    app.patch(
+      "/classes/:id",
+      verifyJWT,
+      verifyAdmin,
+      audit("class.status.update", "class"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { status, reason } = req.body;
+
+          // Validate status
+          if (!["approved", "rejected", "pending"].includes(status)) {
+            return res.status(400).json({
+              success: false,
+              message:
+                "Invalid status. Must be 'approved', 'rejected', or 'pending'",
+            });
+          }
+
+          if (reason != null && typeof reason !== "string") {
+            return res.status(400).json({
+              success: false,
+              message: "Reason must be text",
+            });
+          }
+
+          // Rejections must tell the teacher why
+          if (status === "rejected" && !reason?.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: "A rejection reason is required",
+            });
+          }
+
+          const classesCollection = database.collection("classes");
+
+          const result = await classesCollection.updateOne(
+            { _id: new ObjectId(id) },
+            {
+              $set: {
+                status,
+                rejectionReason: status === "rejected" ? reason.trim() : null,
+                reviewedBy: req.user.uid,
+                reviewedAt: new Date(),
+                updatedAt: new Date(),
+              },
+              $push: {
+                moderationHistory: {
+                  action: "reviewed",
+                  status,
+                  reason: reason?.trim() || null,
+                  by: req.user.uid,
+                  at: new Date(),
+                },
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "Class not found",
+            });
+          }
+
+          res.json({
+            success: true,
+            message: `Class ${status} successfully`,
+          });
+        } catch (error) {
+          console.error("Error updating class:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Delete class endpoint, classes students depend on are archived so
+    // enrolled students keep access, admins can delete those permanently with
+    // ?permanent=true
+    app.delete(
+      "/classes/:id",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      audit("class.delete", "class"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const classesCollection = database.collection("classes");
+          const classData = req.classData;
+
+          // Nobody may be paying for a seat in a class that is removed
+          const noActiveSeatHolds = {
+            seatHolds: {
+              $not: { $elemMatch: { expiresAt: { $gt: new Date() } } },
+            },
+          };
+
+          // Remove the class and everything that belongs to it together if
+          // the class still matches condition, resolves with null otherwise
+          const removeClass = async (condition) => {
+            let deleted = {};
+            const session = client.startSession();
+            try {
+              await session.withTransaction(async () => {
+                const result = await classesCollection.deleteOne(
+                  { _id: classData._id, ...condition },
+                  { session }
+                );
+
+                if (result.deletedCount === 0) {
+                  deleted = null;
+                  await session.abortTransaction();
+                  return;
+                }
+
+                for (const name of CLASS_DEPENDENT_COLLECTIONS) {
+                  const result = await database
+                    .collection(name)
+                    .deleteMany({ classId: id }, { session });
+                  deleted[name] = result.deletedCount;
+                }
+
+                const coupons = await couponsCollection.deleteMany(
+                  { classId: id, redemptionCount: 0 },
+                  { session }
+                );
+                deleted.coupons = coupons.deletedCount;
+
+                await couponsCollection.updateMany(
+                  { classId: id },
+                  {
+                    $set: {
+                      active: false,
+                      reservations: [],
+                      classDeletedAt: new Date(),
+                      updatedAt: new Date(),
+                    },
+                  },
+                  { session }
+                );
+
+                for (const name of ["payments", "refund-requests"]) {
+                  await database
+                    .collection(name)
+                    .updateMany(
+                      { classId: id },
+                      { $set: { classDeletedAt: new Date() } },
+                      { session }
+                    );
+                }
+              });
+            } finally {
+              await session.endSession();
+            }
+            return deleted;
+          };
+
+          // Drafts and rejected classes nobody joined or is paying for are
+          // deleted outright, archiving only keeps classes students depend on
+          let hasStudentActivity =
+            (classData.enrolledStudents || []).length > 0 ||
+            (classData.seatHolds || []).some(
+              (hold) => hold.expiresAt > new Date()
+            );
+          for (const name of CLASS_STUDENT_ACTIVITY_COLLECTIONS) {
+            if (hasStudentActivity) {
+              break;
+            }
+            hasStudentActivity =
+              (await database
+                .collection(name)
+                .countDocuments({ classId: id }, { limit: 1 })) > 0;
+          }
+
+          if (!hasStudentActivity) {
+            // A student may have enrolled or started paying since the checks
+            const deleted = await removeClass({
+              "enrolledStudents.0": { $exists: false },
+              ...noActiveSeatHolds,
+            });
+
+            if (!deleted) {
+              return res.status(409).json({
+                success: false,
+                message: "A student joined the class, try again",
+              });
+            }
+
+            return res.json({
+              success: true,
+              message: "Class deleted successfully",
+              deleted,
+            });
+          }
+
+          if (req.query.permanent !== "true") {
+            if (classData.status === "archived") {
+              return res.status(409).json({
+                success: false,
+                message: "Class is already archived",
+              });
+            }
+
+            await classesCollection.updateOne(
+              { _id: classData._id },
+              {
+                $set: {
+                  status: "archived",
+                  statusBeforeArchive: classData.status,
+                  archivedAt: new Date(),
+                  archivedBy: req.user.uid,
+                  updatedAt: new Date(),
+                },
+                $push: {
+                  moderationHistory: {
+                    action: "archived",
+                    status: "archived",
+                    by: req.user.uid,
+                    at: new Date(),
+                  },
+                },
+              }
+            );
+
+            // Nobody can take a seat in an archived class anymore
+            await waitlistsCollection.updateMany(
+              { classId: id, status: { $in: ["waiting", "offered"] } },
+              { $set: { status: "cancelled", updatedAt: new Date() } }
+            );
+
+            return res.json({
+              success: true,
+              message: "Class archived successfully",
+              archived: true,
+            });
+          }
+
+          if (req.user.role !== "admin") {
+            return res.status(403).json({
+              success: false,
+              message: "Only admins can permanently delete a class",
+            });
+          }
+
+          // Payments are kept for reporting, so a class can only be removed
+          // once nobody is owed money for it
+          const unrefundedPayments = await database
+            .collection("payments")
+            .countDocuments({
+              classId: id,
+              status: { $nin: SETTLED_PAYMENT_STATUSES },
+            });
+
+          if (unrefundedPayments > 0) {
+            return res.status(409).json({
+              success: false,
+              message: `Class has ${unrefundedPayments} unrefunded payment(s), refund them before deleting the class`,
+            });
+          }
+
+          const deleted = await removeClass(noActiveSeatHolds);
+
+          if (!deleted) {
+            return res.status(409).json({
+              success: false,
+              message:
+                "A student is paying for a seat in this class, try again later",
+            });
+          }
+
+          res.json({
+            success: true,
+            message: "Class deleted successfully",
+            deleted,
+          });
+        } catch (error) {
+          console.error("Error deleting class:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Restore an archived class, it goes back to the review queue since it
+    // may have been archived long ago
+    app.post(
+      "/classes/:id/restore",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      audit("class.restore", "class"),
+      async (req, res) => {
+        try {
+          const classData = req.classData;
+
+          if (classData.status !== "archived") {
+            return res.status(409).json({
+              success: false,
+              message: "Class is not archived",
+            });
+          }
+
+          const status = "pending";
+
+          await database.collection("classes").updateOne(
+            { _id: classData._id },
+            {
+              $set: {
+                status,
+                submittedForReviewAt: new Date(),
+                updatedAt: new Date(),
+              },
+              $unset: {
+                statusBeforeArchive: "",
+                archivedAt: "",
+                archivedBy: "",
+              },
+              $push: {
+                moderationHistory: {
+                  action: "restored",
+                  status,
+                  by: req.user.uid,
+                  at: new Date(),
+                },
+              },
+            }
+          );
+
+          res.json({
+            success: true,
+            message: "Class restored successfully",
+            status,
+          });
+        } catch (error) {
+          console.error("Error restoring class:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Update class content (for teachers)
+    app.patch(
+      "/classes/:id/content",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      audit("class.content.update", "class"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { title, price, description, image } = req.body;
+
+          // Validate required fields
+          if (!title || price === undefined || !description || !image) {
+            return res.status(400).json({
+              success: false,
+              message: "Missing required fields",
+            });
+          }
+
+          const classesCollection = database.collection("classes");
+          const classData = req.classData;
+
+          if (classData.status === "archived") {
+            return res.status(409).json({
+              success: false,
+              message: "Archived classes cannot be edited, restore it first",
+            });
+          }
+
+          const { error, metadata } = validateClassMetadata(
+            req.body,
+            classData
+          );
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          const content = {
+            title,
+            price: parseFloat(price),
+            description,
+            image,
+            ...metadata,
+          };
+
+          const changedFields = CLASS_CONTENT_FIELDS.filter(
+            (field) =>
+              JSON.stringify(content[field]) !==
+              JSON.stringify(classData[field] ?? null)
+          );
+
+          const materialFields = changedFields.filter((field) =>
+            MATERIAL_CLASS_FIELDS.includes(field)
+          );
+
+          // Material edits to a published class are kept as a revision so the
+          // published version stays live until an admin approves them. The
+          // revision only holds the changed material fields, other fields are
+          // updated right away
+          if (classData.status === "approved" && materialFields.length > 0) {
+            const revisionContent = Object.fromEntries(
+              materialFields.map((field) => [field, content[field]])
+            );
+
+            const saveRevision = () =>
+              classRevisionsCollection.findOneAndUpdate(
+                { classId: id, status: { $in: OPEN_REVISION_STATUSES } },
+                {
+                  $set: {
+                    content: revisionContent,
+                    status: "pending",
+                    rejectionReason: null,
+                    submittedAt: new Date(),
+                    updatedAt: new Date(),
+                  },
+                  $setOnInsert: {
+                    classId: id,
+                    teacherUid: classData.teacherUid,
+                    createdBy: req.user.uid,
+                    createdAt: new Date(),
+                  },
+                },
+                { upsert: true, returnDocument: "after" }
+              );
+
+            // A concurrent edit created the revision first, update it instead
+            const revision = await saveRevision().catch((error) => {
+              if (error.code === 11000) {
+                return saveRevision();
+              }
+              throw error;
+            });
+
+            const liveFields = changedFields.filter(
+              (field) => !MATERIAL_CLASS_FIELDS.includes(field)
+            );
+
+            if (liveFields.length > 0) {
+              await classesCollection.updateOne(
+                { _id: new ObjectId(id) },
+                {
+                  $set: {
+                    ...Object.fromEntries(
+                      liveFields.map((field) => [field, content[field]])
+                    ),
+                    updatedAt: new Date(),
+                  },
+                }
+              );
+
+              if (liveFields.includes("maxStudents")) {
+                await offerFreedSeats(id);
+              }
+            }
+
+            return res.json({
+              success: true,
+              message: "Changes saved as a revision and sent for review",
+              status: classData.status,
+              revisionId: revision._id,
+            });
+          }
+
+          // Any edit to a rejected class sends it back to the review queue
+          const needsReview = classData.status === "rejected";
+
+          const update = {
+            $set: {
+              ...content,
+              updatedAt: new Date(),
+            },
+          };
+
+          if (needsReview) {
+            update.$set.status = "pending";
+            update.$set.submittedForReviewAt = new Date();
+            update.$push = {
+              moderationHistory: {
+                action: "resubmitted",
+                status: "pending",
+                changedFields,
+                by: req.user.uid,
+                at: new Date(),
+              },
+            };
+          }
+
+          await classesCollection.updateOne({ _id: new ObjectId(id) }, update);
+
+          // A raised seat limit may free seats for waitlisted students
+          if (changedFields.includes("maxStudents")) {
+            await offerFreedSeats(id);
+          }
+
+          res.json({
+            success: true,
+            message: needsReview
+              ? "Class updated and sent for review"
+              : "Class updated successfully",
+            status: needsReview ? "pending" : classData.status,
+          });
+        } catch (error) {
+          console.error("Error updating class content:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get the open revision of a class with a diff against the published version
+    app.get(
+      "/classes/:id/revision",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+
+          const revision = await classRevisionsCollection.findOne({
+            classId: id,
+            status: { $in: OPEN_REVISION_STATUSES },
+          });
+
+          if (!revision) {
+            return res.status(404).json({
+              success: false,
+              message: "No open revision for this class",
+            });
+          }
+
+          const published = {};
+          Object.keys(revision.content).forEach((field) => {
+            published[field] = req.classData[field];
+          });
+
+          res.json({
+            success: true,
+            revision,
+            diff: diffDocuments(published, revision.content),
+          });
+        } catch (error) {
+          console.error("Error fetching class revision:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Discard the open revision of a class
+    app.delete(
+      "/classes/:id/revision",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+
+          const result = await classRevisionsCollection.updateOne(
+            { classId: id, status: { $in: OPEN_REVISION_STATUSES } },
+            {
+              $set: {
+                status: "discarded",
+                discardedBy: req.user.uid,
+                discardedAt: new Date(),
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "No open revision for this class",
+            });
+          }
+
+          res.json({
+            success: true,
+            message: "Revision discarded successfully",
+          });
+        } catch (error) {
+          console.error("Error discarding class revision:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Resubmit a rejected revision for review without changing it
+    app.post(
+      "/classes/:id/revision/submit",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+
+          const result = await classRevisionsCollection.updateOne(
+            { classId: id, status: "rejected" },
+            {
+              $set: {
+                status: "pending",
+                submittedAt: new Date(),
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "No rejected revision for this class",
+            });
+          }
+
+          res.json({
+            success: true,
+            message: "Revision resubmitted successfully",
+          });
+        } catch (error) {
+          console.error("Error resubmitting class revision:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Approve or reject the pending revision of a class (admin only),
+    // approving publishes the revised content
+    app.patch(
+      "/classes/:id/revision",
+      verifyJWT,
+      verifyAdmin,
+      audit("class.revision.review", "class"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { status, reason } = req.body;
+
+          // Validate status
+          if (!["approved", "rejected"].includes(status)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid status. Must be 'approved' or 'rejected'",
+            });
+          }
+
+          if (reason != null && typeof reason !== "string") {
+            return res.status(400).json({
+              success: false,
+              message: "Reason must be text",
+            });
+          }
+
+          // Rejections must tell the teacher why
+          if (status === "rejected" && !reason?.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: "A rejection reason is required",
+            });
+          }
+
+          const classesCollection = database.collection("classes");
+          const classData = await classesCollection.findOne({
+            _id: new ObjectId(id),
+          });
+
+          if (!classData) {
+            return res.status(404).json({
+              success: false,
+              message: "Class not found",
+            });
+          }
+
+          const revision = await classRevisionsCollection.findOneAndUpdate(
+            { classId: id, status: "pending" },
+            {
+              $set: {
+                status,
+                rejectionReason: status === "rejected" ? reason.trim() : null,
+                reviewedBy: req.user.uid,
+                reviewedAt: new Date(),
+                updatedAt: new Date(),
+              },
+            },
+            { returnDocument: "after" }
+          );
+
+          if (!revision) {
+            return res.status(404).json({
+              success: false,
+              message: "No pending revision for this class",
+            });
+          }
+
+          // Only material fields are reviewed, revisions saved before
+          // revisions were limited to them also hold the other fields
+          const revisedContent = Object.fromEntries(
+            Object.entries(revision.content).filter(([field]) =>
+              MATERIAL_CLASS_FIELDS.includes(field)
+            )
+          );
+
+          const changedFields = Object.keys(revisedContent).filter(
+            (field) =>
+              JSON.stringify(revisedContent[field]) !==
+              JSON.stringify(classData[field] ?? null)
+          );
+
+          const update = {
+            $push: {
+              moderationHistory: {
+                action: `revision-${status}`,
+                status: classData.status,
+                revisionId: revision._id,
+                changedFields,
+                reason: reason?.trim() || null,
+                by: req.user.uid,
+                at: new Date(),
+              },
+            },
+          };
+
+          if (status === "approved") {
+            update.$set = { ...revisedContent, updatedAt: new Date() };
+          }
+
+          await classesCollection.updateOne({ _id: classData._id }, update);
+
+          res.json({
+            success: true,
+            message: `Revision ${status} successfully`,
+          });
+        } catch (error) {
+          console.error("Error reviewing class revision:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get single class by ID
+    app.get("/classes/:id", verifyJWT, async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        // Validate ObjectId format
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid class ID format",
+          });
+        }
+
+        const classesCollection = database.collection("classes");
+        const classData = await classesCollection.findOne({
+          _id: new ObjectId(id),
+        });
+
+        if (
+          !classData ||
+          (classData.status === "archived" &&
+            !hasClassAccess(classData, req.user))
+        ) {
+          return res.status(404).json({
+            success: false,
+            message: "Class not found",
+          });
+        }
+
+        // Seat holds name other students, only the seat count is public
+        const { seatHolds, ...publicClassData } = classData;
+
+        if (classData.schedule && !hasClassAccess(classData, req.user)) {
+          publicClassData.schedule = {
+            ...classData.schedule,
+            meetingLink: null,
+          };
+        }
+
+        res.json({
+          success: true,
+          class: {
+            ...publicClassData,
+            seatsRemaining: countFreeSeats(classData),
+          },
+        });
+      } catch (error) {
+        console.error("Error fetching class details:", error);
+        res.status(500).json({
+          success: false,
+          message: "Internal server error",
+        });
+      }
+    });
+
+    // Set the schedule of a class (class owner or admin)
+    app.put(
+      "/classes/:id/schedule",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      audit("class.schedule.update", "class"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { error, schedule } = validateSchedule(req.body);
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          await database
+            .collection("classes")
+            .updateOne(
+              { _id: new ObjectId(id) },
+              { $set: { schedule, updatedAt: new Date() } }
+            );
+
+          res.json({
+            success: true,
+            message: "Class schedule updated successfully",
+            schedule,
+          });
+        } catch (error) {
+          console.error("Error updating class schedule:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Remove the schedule of a class (class owner or admin)
+    app.delete(
+      "/classes/:id/schedule",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      audit("class.schedule.delete", "class"),
+      async (req, res) => {
+        try {
+          await database
+            .collection("classes")
+            .updateOne(
+              { _id: new ObjectId(req.params.id) },
+              { $unset: { schedule: "" }, $set: { updatedAt: new Date() } }
+            );
+
+          res.json({
+            success: true,
+            message: "Class schedule removed successfully",
+          });
+        } catch (error) {
+          console.error("Error removing class schedule:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // iCalendar feed with every session of a published class, meeting links
+    // are left out since the feed is public
+    app.get("/classes/:id/calendar.ics", async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid class ID format",
+          });
+        }
+
+        const classData = await database
+          .collection("classes")
+          .findOne({ _id: new ObjectId(id), status: "approved" });
+
+        if (!classData) {
+          return res.status(404).json({
+            success: false,
+            message: "Class not found",
+          });
+        }
+
+        let occurrences = [];
+        if (classData.schedule) {
+          const { from, to } = scheduleRange(classData.schedule);
+          occurrences = expandSessions(classData, from, to);
+        }
+
+        res
+          .type("text/calendar; charset=utf-8")
+          .send(buildCalendar(classData.title, occurrences, {}));
+      } catch (error) {
+        console.error("Error building class calendar:", error);
+        res.status(500).json({
+          success: false,
+          message: "Internal server error",
+        });
+      }
+    });
+
+    // Leave a class, the seat goes to the next student on the waitlist.
+    // Leaving does not refund the payment, see POST /payments/:id/refund-request
+    app.delete(
+      "/classes/:id/enrollment",
+      verifyJWT,
+      verifyUser,
+      audit("class.unenroll", "class"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid class ID format",
+            });
+          }
+
+          const result = await database.collection("classes").updateOne(
+            { _id: new ObjectId(id), enrolledStudents: req.user.uid },
+            {
+              $pull: { enrolledStudents: req.user.uid },
+              $set: { updatedAt: new Date() },
+            }
+          );
+
+          if (result.modifiedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "Not enrolled in this class",
+            });
+          }
+
+          await offerFreedSeats(id);
+
+          res.json({
+            success: true,
+            message: "Left the class successfully",
+          });
+        } catch (error) {
+          console.error("Error leaving class:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Join the waitlist of a full class
+    app.post(
+      "/classes/:id/waitlist",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { uid, name, email } = req.user;
+
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid class ID format",
+            });
+          }
+
+          await offerFreedSeats(id);
+
+          const classData = await database
+            .collection("classes")
+            .findOne({ _id: new ObjectId(id) });
+
+          if (!classData || classData.status !== "approved") {
+            return res.status(404).json({
+              success: false,
+              message: "Class not found",
+            });
+          }
+
+          if ((classData.enrolledStudents || []).includes(uid)) {
+            return res.status(409).json({
+              success: false,
+              message: "Student is already enrolled in this class",
+            });
+          }
+
+          // Only full classes have a waitlist
+          if (countFreeSeats(classData) !== 0) {
+            return res.status(400).json({
+              success: false,
+              message: "Class has free seats, enroll directly instead",
+            });
+          }
+
+          const existingEntry = await waitlistsCollection.findOne({
+            classId: id,
+            studentUid: uid,
+            status: { $in: ["waiting", "offered"] },
+          });
+
+          if (existingEntry) {
+            return res.status(409).json({
+              success: false,
+              message: "Already on the waitlist for this class",
+            });
+          }
+
+          const entry = {
+            classId: id,
+            studentUid: uid,
+            studentName: name || "",
+            studentEmail: email,
+            status: "waiting",
+            joinedAt: new Date(),
+            updatedAt: new Date(),
+          };
+
+          const result = await waitlistsCollection.insertOne(entry);
+
+          const position =
+            (await waitlistsCollection.countDocuments({
+              classId: id,
+              status: "waiting",
+              joinedAt: { $lt: entry.joinedAt },
+            })) + 1;
+
+          res.status(201).json({
+            success: true,
+            message: "Joined the waitlist successfully",
+            waitlistId: result.insertedId,
+            position,
+          });
+        } catch (error) {
+          console.error("Error joining waitlist:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Leave the waitlist of a class, an offered seat goes to the next student
+    app.delete(
+      "/classes/:id/waitlist",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { uid } = req.user;
+
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid class ID format",
+            });
+          }
+
+          const entry = await waitlistsCollection.findOneAndUpdate(
+            {
+              classId: id,
+              studentUid: uid,
+              status: { $in: ["waiting", "offered"] },
+            },
+            { $set: { status: "cancelled", updatedAt: new Date() } }
+          );
+
+          if (!entry) {
+            return res.status(404).json({
+              success: false,
+              message: "Not on the waitlist for this class",
+            });
+          }
+
+          if (entry.status === "offered") {
+            await database
+              .collection("classes")
+              .updateOne(
+                { _id: new ObjectId(id) },
+                { $pull: { seatHolds: { studentUid: uid } } }
+              );
+            await offerFreedSeats(id);
+          }
+
+          res.json({
+            success: true,
+            message: "Left the waitlist successfully",
+          });
+        } catch (error) {
+          console.error("Error leaving waitlist:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get the caller's waitlist entry for a class with their position
+    app.get(
+      "/classes/:id/waitlist/me",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid class ID format",
+            });
+          }
+
+          await offerFreedSeats(id);
+
+          const entry = await waitlistsCollection.findOne(
+            { classId: id, studentUid: req.user.uid },
+            { sort: { joinedAt: -1 } }
+          );
+
+          if (!entry) {
+            return res.status(404).json({
+              success: false,
+              message: "Not on the waitlist for this class",
+            });
+          }
+
+          const position =
+            entry.status === "waiting"
+              ? (await waitlistsCollection.countDocuments({
+                  classId: id,
+                  status: "waiting",
+                  joinedAt: { $lt: entry.joinedAt },
+                })) + 1
+              : null;
+
+          res.json({
+            success: true,
+            waitlist: {
+              ...entry,
+              position,
+            },
+          });
+        } catch (error) {
+          console.error("Error fetching waitlist entry:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get the waitlist of a class (class owner or admin)
+    app.get(
+      "/classes/:id/waitlist",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { status } = req.query;
+
+          await offerFreedSeats(id);
+
+          const filter = {
+            classId: id,
+            status: status || { $in: ["waiting", "offered"] },
+          };
+
+          const { items, pagination, error } = await paginateQuery(
+            waitlistsCollection,
+            req.query,
+            {
+              defaultLimit: 20,
+              filter,
+              sort: { joinedAt: 1 },
+              totalKey: "totalEntries",
+            }
+          );
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          res.json({
+            success: true,
+            waitlist: items,
+            seatsRemaining: countFreeSeats(req.classData),
+            pagination,
+          });
+        } catch (error) {
+          console.error("Error fetching class waitlist:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get the modules and lessons of a class, students also get their
+    // completed lessons and progress
+    app.get(
+      "/classes/:id/modules",
+      verifyJWT,
+      verifyUser,
+      verifyClassMember(),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+
+          const modules = await classModulesCollection
+            .find({ classId: id })
+            .sort({ position: 1 })
+            .toArray();
+
+          if (!(req.classData.enrolledStudents || []).includes(req.user.uid)) {
+            return res.json({
+              success: true,
+              modules,
+            });
+          }
+
+          const completedLessonIds = await lessonProgressCollection.distinct(
+            "lessonId",
+            { classId: id, studentUid: req.user.uid }
+          );
+
+          const [progress] = await getClassProgress(id, [req.user.uid]);
+
+          res.json({
+            success: true,
+            modules: modules.map((module) => ({
+              ...module,
+              lessons: module.lessons.map((lesson) => ({
+                ...lesson,
+                completed: completedLessonIds.includes(lesson._id.toString()),
+              })),
+            })),
+            progress,
+          });
+        } catch (error) {
+          console.error("Error fetching class modules:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Add a module at the end of a class (class owner or admin)
+    app.post(
+      "/classes/:id/modules",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { title, description = "" } = req.body;
+
+          if (typeof title !== "string" || !title.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: "Module title is required",
+            });
+          }
+
+          const [lastModule] = await classModulesCollection
+            .find({ classId: id })
+            .sort({ position: -1 })
+            .limit(1)
+            .toArray();
+
+          const module = {
+            classId: id,
+            title: title.trim(),
+            description: String(description),
+            position: lastModule ? lastModule.position + 1 : 0,
+            lessons: [],
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          };
+
+          const result = await classModulesCollection.insertOne(module);
+
+          res.status(201).json({
+            success: true,
+            message: "Module added successfully",
+            moduleId: result.insertedId,
+          });
+        } catch (error) {
+          console.error("Error adding class module:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Reorder the modules of a class (class owner or admin)
+    app.put(
+      "/classes/:id/modules/order",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { moduleIds } = req.body;
+
+          const modules = await classModulesCollection
+            .find({ classId: id })
+            .project({ _id: 1 })
+            .toArray();
+
+          if (
+            !isSameIdSet(
+              moduleIds,
+              modules.map((module) => module._id.toString())
+            )
+          ) {
+            return res.status(400).json({
+              success: false,
+              message: "moduleIds must list every module of the class once",
+            });
+          }
+
+          await classModulesCollection.bulkWrite(
+            moduleIds.map((moduleId, position) => ({
+              updateOne: {
+                filter: { _id: new ObjectId(moduleId), classId: id },
+                update: { $set: { position, updatedAt: new Date() } },
+              },
+            }))
+          );
+
+          res.json({
+            success: true,
+            message: "Modules reordered successfully",
+          });
+        } catch (error) {
+          console.error("Error reordering class modules:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Update a module of a class (class owner or admin)
+    app.patch(
+      "/classes/:id/modules/:moduleId",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id, moduleId } = req.params;
+          const { title, description } = req.body;
+
+          if (!ObjectId.isValid(moduleId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid module ID format",
+            });
+          }
+
+          const update = { updatedAt: new Date() };
+
+          if (title !== undefined) {
+            if (typeof title !== "string" || !title.trim()) {
+              return res.status(400).json({
+                success: false,
+                message: "Module title cannot be empty",
+              });
+            }
+            update.title = title.trim();
+          }
+
+          if (description !== undefined) {
+            update.description = String(description);
+          }
+
+          const result = await classModulesCollection.updateOne(
+            { _id: new ObjectId(moduleId), classId: id },
+            { $set: update }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "Module not found",
+            });
+          }
+
+          res.json({
+            success: true,
+            message: "Module updated successfully",
+          });
+        } catch (error) {
+          console.error("Error updating class module:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Delete a module and its lessons (class owner or admin)
+    app.delete(
+      "/classes/:id/modules/:moduleId",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id, moduleId } = req.params;
+
+          if (!ObjectId.isValid(moduleId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid module ID format",
+            });
+          }
+
+          const module = await classModulesCollection.findOneAndDelete({
+            _id: new ObjectId(moduleId),
+            classId: id,
+          });
+
+          if (!module) {
+            return res.status(404).json({
+              success: false,
+              message: "Module not found",
+            });
+          }
+
+          await lessonProgressCollection.deleteMany({
+            classId: id,
+            lessonId: {
+              $in: module.lessons.map((lesson) => lesson._id.toString()),
+            },
+          });
+
+          res.json({
+            success: true,
+            message: "Module deleted successfully",
+          });
+        } catch (error) {
+          console.error("Error deleting class module:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Add a lesson at the end of a module (class owner or admin)
+    app.post(
+      "/classes/:id/modules/:moduleId/lessons",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id, moduleId } = req.params;
+
+          if (!ObjectId.isValid(moduleId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid module ID format",
+            });
+          }
+
+          const { error, lesson } = validateLesson(req.body);
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          const lessonDoc = {
+            _id: new ObjectId(),
+            ...lesson,
+            createdAt: new Date(),
+            updatedAt: new Date(),
+          };
+
+          const result = await classModulesCollection.updateOne(
+            { _id: new ObjectId(moduleId), classId: id },
+            {
+              $push: { lessons: lessonDoc },
+              $set: { updatedAt: new Date() },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "Module not found",
+            });
+          }
+
+          res.status(201).json({
+            success: true,
+            message: "Lesson added successfully",
+            lessonId: lessonDoc._id,
+          });
+        } catch (error) {
+          console.error("Error adding lesson:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Reorder the lessons of a module (class owner or admin)
+    app.put(
+      "/classes/:id/modules/:moduleId/lessons/order",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id, moduleId } = req.params;
+          const { lessonIds } = req.body;
+
+          if (!ObjectId.isValid(moduleId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid module ID format",
+            });
+          }
+
+          const module = await classModulesCollection.findOne({
+            _id: new ObjectId(moduleId),
+            classId: id,
+          });
+
+          if (!module) {
+            return res.status(404).json({
+              success: false,
+              message: "Module not found",
+            });
+          }
+
+          const lessonsById = Object.fromEntries(
+            module.lessons.map((lesson) => [lesson._id.toString(), lesson])
+          );
+
+          if (!isSameIdSet(lessonIds, Object.keys(lessonsById))) {
+            return res.status(400).json({
+              success: false,
+              message: "lessonIds must list every lesson of the module once",
+            });
+          }
+
+          // Only reorder if the module still has the same lessons
+          const result = await classModulesCollection.updateOne(
+            {
+              _id: module._id,
+              "lessons._id": {
+                $all: module.lessons.map((lesson) => lesson._id),
+              },
+              lessons: { $size: module.lessons.length },
+            },
+            {
+              $set: {
+                lessons: lessonIds.map((lessonId) => lessonsById[lessonId]),
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(409).json({
+              success: false,
+              message: "The lessons of the module changed, please retry",
+            });
+          }
+
+          res.json({
+            success: true,
+            message: "Lessons reordered successfully",
+          });
+        } catch (error) {
+          console.error("Error reordering lessons:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Update a lesson (class owner or admin)
+    app.patch(
+      "/classes/:id/modules/:moduleId/lessons/:lessonId",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id, moduleId, lessonId } = req.params;
+
+          if (!ObjectId.isValid(moduleId) || !ObjectId.isValid(lessonId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid module or lesson ID format",
+            });
+          }
+
+          const module = await classModulesCollection.findOne({
+            _id: new ObjectId(moduleId),
+            classId: id,
+            "lessons._id": new ObjectId(lessonId),
+          });
+
+          if (!module) {
+            return res.status(404).json({
+              success: false,
+              message: "Lesson not found",
+            });
+          }
+
+          const current = module.lessons.find(
+            (lesson) => lesson._id.toString() === lessonId
+          );
+
+          const { error, lesson } = validateLesson({ ...current, ...req.body });
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          const update = { updatedAt: new Date() };
+          Object.entries(lesson).forEach(([field, value]) => {
+            update[`lessons.$.${field}`] = value;
+          });
+          update["lessons.$.updatedAt"] = new Date();
+
+          await classModulesCollection.updateOne(
+            { _id: module._id, "lessons._id": new ObjectId(lessonId) },
+            { $set: update }
+          );
+
+          res.json({
+            success: true,
+            message: "Lesson updated successfully",
+          });
+        } catch (error) {
+          console.error("Error updating lesson:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Delete a lesson (class owner or admin)
+    app.delete(
+      "/classes/:id/modules/:moduleId/lessons/:lessonId",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id, moduleId, lessonId } = req.params;
+
+          if (!ObjectId.isValid(moduleId) || !ObjectId.isValid(lessonId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid module or lesson ID format",
+            });
+          }
+
+          const result = await classModulesCollection.updateOne(
+            { _id: new ObjectId(moduleId), classId: id },
+            {
+              $pull: { lessons: { _id: new ObjectId(lessonId) } },
+              $set: { updatedAt: new Date() },
+            }
+          );
+
+          if (result.modifiedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "Lesson not found",
+            });
+          }
+
+          await lessonProgressCollection.deleteMany({ classId: id, lessonId });
+
+          res.json({
+            success: true,
+            message: "Lesson deleted successfully",
+          });
+        } catch (error) {
+          console.error("Error deleting lesson:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Mark a lesson as complete (enrolled students)
+    app.post(
+      "/classes/:id/lessons/:lessonId/complete",
+      verifyJWT,
+      verifyUser,
+      verifyClassMember(),
+      async (req, res) => {
+        try {
+          const { id, lessonId } = req.params;
+          const studentUid = req.user.uid;
+
+          if (!(req.classData.enrolledStudents || []).includes(studentUid)) {
+            return res.status(403).json({
+              success: false,
+              message: "Only enrolled students can complete lessons",
+            });
+          }
+
+          if (!ObjectId.isValid(lessonId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid lesson ID format",
+            });
+          }
+
+          const module = await classModulesCollection.findOne({
+            classId: id,
+            "lessons._id": new ObjectId(lessonId),
+          });
+
+          if (!module) {
+            return res.status(404).json({
+              success: false,
+              message: "Lesson not found",
+            });
+          }
+
+          await lessonProgressCollection.updateOne(
+            { studentUid, lessonId },
+            {
+              $setOnInsert: {
+                classId: id,
+                studentUid,
+                lessonId,
+                completedAt: new Date(),
+              },
+            },
+            { upsert: true }
+          );
+
+          const [progress] = await getClassProgress(id, [studentUid]);
+
+          res.json({
+            success: true,
+            message: "Lesson marked as complete",
+            progress,
+          });
+        } catch (error) {
+          console.error("Error completing lesson:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Mark a completed lesson as not complete (enrolled students)
+    app.delete(
+      "/classes/:id/lessons/:lessonId/complete",
+      verifyJWT,
+      verifyUser,
+      verifyClassMember(),
+      async (req, res) => {
+        try {
+          const { id, lessonId } = req.params;
+          const studentUid = req.user.uid;
+
+          await lessonProgressCollection.deleteOne({
+            classId: id,
+            studentUid,
+            lessonId,
+          });
+
+          const [progress] = await getClassProgress(id, [studentUid]);
+
+          res.json({
+            success: true,
+            message: "Lesson marked as not complete",
+            progress,
+          });
+        } catch (error) {
+          console.error("Error uncompleting lesson:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get the caller's progress in a class
+    app.get(
+      "/classes/:id/progress/me",
+      verifyJWT,
+      verifyUser,
+      verifyClassMember(),
+      async (req, res) => {
+        try {
+          const [progress] = await getClassProgress(req.params.id, [
+            req.user.uid,
+          ]);
+
+          res.json({
+            success: true,
+            progress,
+          });
+        } catch (error) {
+          console.error("Error fetching class progress:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get the progress of every enrolled student (class owner or admin)
+    app.get(
+      "/classes/:id/progress",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner(),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+
+          const { items, pagination, error } = await paginateQuery(
+            usersCollection,
+            req.query,
+            {
+              defaultLimit: 20,
+              filter: {
+                uid: { $in: req.classData.enrolledStudents || [] },
+              },
+              stages: [{ $project: { uid: 1, name: 1, email: 1 } }],
+              sort: { name: 1 },
+              totalKey: "totalStudents",
+            }
+          );
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          const progress = await getClassProgress(
+            id,
+            items.map((student) => student.uid)
+          );
+
+          res.json({
+            success: true,
+            students: items.map((student, index) => ({
+              ...student,
+              progress: progress[index],
+            })),
+            pagination,
+          });
+        } catch (error) {
+          console.error("Error fetching class progress:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get the caller's notifications, newest first
+    app.get("/notifications", verifyJWT, verifyUser, async (req, res) => {
+      try {
+        const filter = { uid: req.user.uid };
+        if (req.query.unread === "true") {
+          filter.read = false;
+        }
+
+        const { items, pagination, error } = await paginateQuery(
+          notificationsCollection,
+          req.query,
+          { defaultLimit: 20, filter, totalKey: "totalNotifications" }
+        );
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+          });
+        }
+
+        const unreadCount = await notificationsCollection.countDocuments({
+          uid: req.user.uid,
+          read: false,
+        });
+
+        res.json({
+          success: true,
+          notifications: items,
+          unreadCount,
+          pagination,
+        });
+      } catch (error) {
+        console.error("Error fetching notifications:", error);
+        res.status(500).json({
+          success: false,
+          message: "Internal server error",
+        });
+      }
+    });
+
+    // Mark one of the caller's notifications as read
+    app.patch(
+      "/notifications/:id/read",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid notification ID format",
+            });
+          }
+
+          const result = await notificationsCollection.updateOne(
+            { _id: new ObjectId(id), uid: req.user.uid },
+            { $set: { read: true, readAt: new Date() } }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "Notification not found",
+            });
+          }
+
+          res.json({
+            success: true,
+            message: "Notification marked as read",
+          });
+        } catch (error) {
+          console.error("Error updating notification:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get enrolled classes for a student with pagination
+    app.get(
+      "/students/:uid/enrolled-classes",
+      verifyJWT,
+      verifyUser,
+      verifySelf,
+      async (req, res) => {
+        try {
+          const { uid } = req.params;
+          const classesCollection = database.collection("classes");
+
+          // Build filter query for enrolled classes, archived classes stay
+          // available to the students who paid for them
+          const filterQuery = {
+            enrolledStudents: uid,
+            status: { $in: ["approved", "archived"] },
+          };
+
+          // Fetch enrolled classes with pagination
+          const {
+            error,
+            items: enrolledClasses,
+            pagination,
+          } = await paginateQuery(classesCollection, req.query, {
+            defaultLimit: 5,
+            filter: filterQuery,
+            sort: { updatedAt: -1 },
+            totalKey: "totalClasses",
+          });
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          // Course progress of the student in each class
+          const classesWithProgress = await Promise.all(
+            enrolledClasses.map(async (classItem) => {
+              const [progress] = await getClassProgress(
+                classItem._id.toString(),
+                [uid]
+              );
+              return { ...classItem, progress };
+            })
+          );
+
+          res.json({
+            success: true,
+            classes: classesWithProgress,
+            pagination,
+            // Legacy fields for backward compatibility
+            totalClasses: pagination.totalClasses,
+            totalPages: pagination.totalPages,
+          });
+        } catch (error) {
+          console.error("Error fetching enrolled classes:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get payment history for a student
+    app.get(
+      "/students/:uid/payments",
+      verifyJWT,
+      verifyUser,
+      verifySelf,
+      async (req, res) => {
+        try {
+          const { uid } = req.params;
+          const paymentsCollection = database.collection("payments");
+
+          // Fetch payments with pagination, every item when no page, limit
+          // or cursor is given
+          const {
+            error,
+            items: payments,
+            pagination,
+          } = await paginateQuery(paymentsCollection, req.query, {
+            defaultLimit: 20,
+            optional: true,
+            filter: { studentUid: uid },
+            sort: { createdAt: -1 },
+            totalKey: "totalPayments",
+          });
+
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          res.json({
+            success: true,
+            payments,
+            pagination,
+          });
+        } catch (error) {
+          console.error("Error fetching payment history:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get the upcoming sessions of every class a student is enrolled in
+    app.get(
+      "/students/:uid/schedule",
+      verifyJWT,
+      verifyUser,
+      verifySelf,
+      async (req, res) => {
+        try {
+          const { uid } = req.params;
+
+          const from = req.query.from ? new Date(req.query.from) : new Date();
+          const to = req.query.to
+            ? new Date(req.query.to)
+            : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+          if (isNaN(from) || isNaN(to) || to <= from) {
+            return res.status(400).json({
+              success: false,
+              message: "from and to must be dates with from before to",
+            });
+          }
+
+          if (to - from > MAX_SCHEDULE_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+              success: false,
+              message: `The range cannot exceed ${MAX_SCHEDULE_RANGE_DAYS} days`,
+            });
+          }
+
+          const classes = await database
+            .collection("classes")
+            .find({ enrolledStudents: uid, schedule: { $exists: true } })
+            .project({ title: 1, schedule: 1 })
+            .toArray();
+
+          const sessions = classes
+            .flatMap((classData) => expandSessions(classData, from, to))
+            .sort((a, b) => a.start - b.start);
+
+          res.json({
+            success: true,
+            from,
+            to,
+            sessions,
+          });
+        } catch (error) {
+          console.error("Error fetching student schedule:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Create or rotate the secret token of a student's calendar feed,
+    // calendar apps cannot send an Authorization header
+    app.post(
+      "/students/:uid/calendar-token",
+      verifyJWT,
+      verifyUser,
+      verifySelf,
+      async (req, res) => {
+        try {
+          const { uid } = req.params;
+          const token = crypto.randomBytes(24).toString("base64url");
+
+          const result = await usersCollection.updateOne(
+            { uid },
+            {
+              $set: {
+                calendarTokenHash: hashToken(token),
+                updatedAt: new Date(),
+              },
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).json({
+              success: false,
+              message: "User not found",
+            });
+          }
+
+          const baseUrl =
+            PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+
+          res.status(201).json({
+            success: true,
+            message: "Calendar feed token created, previous feeds stop working",
+            feedUrl: `${baseUrl}/students/${encodeURIComponent(
+              uid
+            )}/calendar.ics?token=${token}`,
+          });
+        } catch (error) {
+          console.error("Error creating calendar token:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // iCalendar feed with the sessions of every class a student is enrolled
+    // in, authenticated by the calendar token in the query string
+    app.get("/students/:uid/calendar.ics", async (req, res) => {
+      try {
+        const { uid } = req.params;
+        const { token } = req.query;
+
+        const user =
+          typeof token === "string" && token
+            ? await usersCollection.findOne({
+                uid,
+                calendarTokenHash: hashToken(token),
+              })
+            : null;
+
+        if (!user || isAccountBlocked(user)) {
+          return res.status(401).json({
+            success: false,
+            message: "Invalid calendar token",
+          });
+        }
+
+        const classes = await database
+          .collection("classes")
+          .find({ enrolledStudents: uid, schedule: { $exists: true } })
+          .project({ title: 1, schedule: 1 })
+          .toArray();
+
+        const occurrences = classes
+          .flatMap((classData) => {
+            const { from, to } = scheduleRange(classData.schedule);
+            return expandSessions(classData, from, to);
+          })
+          .sort((a, b) => a.start - b.start);
+
+        res.type("text/calendar; charset=utf-8").send(
+          buildCalendar(
+            `EduManage - ${user.name || "My classes"}`,
+            occurrences,
+            {
+              includeMeetingLinks: true,
+            }
+          )
+        );
+      } catch (error) {
+        console.error("Error building student calendar:", error);
+        res.status(500).json({
+          success: false,
+          message: "Internal server error",
+        });
+      }
+    });
+
+    // Create payment intent
+    app.post(
+      "/create-payment-intent",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { classId, couponCode } = req.body;
+          const studentUid = req.user.uid;
+
+          if (!classId || !ObjectId.isValid(classId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid class ID format",
+            });
+          }
+
+          const classData = await database
+            .collection("classes")
+            .findOne({ _id: new ObjectId(classId) });
+
+          if (!classData || classData.status !== "approved") {
+            return res.status(400).json({
+              success: false,
+              message: "Class is not available for enrollment",
+            });
+          }
+
+          if ((classData.enrolledStudents || []).includes(studentUid)) {
+            return res.status(409).json({
+              success: false,
+              message: "Student is already enrolled in this class",
+            });
+          }
+
+          // The price always comes from the class, never from the client
+          const price = parseFloat(classData.price);
+
+          if (!Number.isFinite(price) || price < MIN_CHARGE_AMOUNT) {
+            return res.status(400).json({
+              success: false,
+              message: "Class does not have a chargeable price",
+            });
+          }
+
+          let pricing = {
+            originalAmount: price,
+            discountAmount: 0,
+            finalAmount: price,
+          };
+          let couponMetadata = {};
+          let resolved = null;
+
+          if (couponCode) {
+            resolved = await resolveCoupon(couponCode, classData, studentUid);
+
+            if (!resolved.coupon) {
+              return res.status(resolved.code).json({
+                success: false,
+                message: resolved.message,
+              });
+            }
+
+            pricing = resolved.pricing;
+            couponMetadata = {
+              couponId: resolved.coupon._id.toString(),
+              couponCode: resolved.coupon.code,
+              couponType: resolved.coupon.type,
+              couponValue: resolved.coupon.value,
+              originalAmount: pricing.originalAmount,
+              discountAmount: pricing.discountAmount,
+            };
+          }
+
+          // Reserve a seat for the student while they pay
+          const seatHold = await holdSeatForCheckout(classData, studentUid);
+
+          if (seatHold === false) {
+            return res.status(409).json({
+              success: false,
+              message: "Class is full",
+              waitlistAvailable: true,
+            });
+          }
+
+          if (resolved) {
+            const reservationId = await reserveCoupon(
+              resolved.coupon,
+              classData._id.toString(),
+              studentUid,
+              resolved.studentRedemptions
+            );
+
+            if (!reservationId) {
+              if (seatHold) {
+                await releaseSeatHold(classId, seatHold);
+              }
+              return res.status(400).json({
+                success: false,
+                message: "Coupon has reached its usage limit",
+              });
+            }
+
+            couponMetadata.couponReservationId = reservationId.toString();
+          }
+
+          const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+          const metadata = {
+            classId: classId,
+            studentUid: studentUid,
+            classPrice: price,
+            finalAmount: pricing.finalAmount,
+            ...couponMetadata,
+          };
+
+          let paymentIntent;
+          try {
+            paymentIntent = await stripe.paymentIntents.create({
+              amount: Math.round(pricing.finalAmount * 100), // Stripe expects cents
+              currency: PAYMENT_CURRENCY,
+              metadata,
+            });
+          } catch (error) {
+            await releaseCouponReservation({ metadata });
+            if (seatHold) {
+              await releaseSeatHold(classId, seatHold);
+            }
+            throw error;
+          }
+
+          res.json({
+            success: true,
+            clientSecret: paymentIntent.client_secret,
+            paymentIntentId: paymentIntent.id,
+            pricing: { ...pricing, currency: PAYMENT_CURRENCY },
+          });
+        } catch (error) {
+          console.error("Error creating payment intent:", error);
+          res.status(500).json({
+            success: false,
+            message: "Failed to create payment intent",
+          });
+        }
+      }
+    );
+
+    // Verify a Stripe PaymentIntent and enroll the student it paid for,
+    // shared by /process-enrollment and the legacy /payments endpoint
+    const processEnrollment = async (req, res, paymentIntentId) => {
+      try {
+        const { classId } = req.body;
+
+        // Student identity comes from the token, not the request body
+        const studentUid = req.user.uid;
+
+        // Validate required fields
+        if (!paymentIntentId || !ObjectId.isValid(classId) || !studentUid) {
+          return res.status(400).json({
+            success: false,
+            message: "Missing required enrollment fields",
+          });
+        }
+
+        // Verify the payment with Stripe, client-reported payments are never trusted
+        let paymentIntent;
+        try {
+          const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+          paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+          if (paymentIntent.status !== "succeeded") {
+            return res.status(400).json({
+              success: false,
+              message: "Payment was not successful",
+            });
+          }
+        } catch (stripeError) {
+          console.error("Error verifying payment intent:", stripeError);
+          return res.status(400).json({
+            success: false,
+            message: "Unable to verify payment",
+          });
+        }
+
+        // Check if class exists and is approved
+        const classesCollection = database.collection("classes");
+        const classData = await classesCollection.findOne({
+          _id: new ObjectId(classId),
+        });
+
+        if (!classData) {
+          return res.status(404).json({
+            success: false,
+            message: "Class not found",
+          });
+        }
+
+        if (classData.status !== "approved") {
+          return res.status(400).json({
+            success: false,
+            message: "Class is not available for enrollment",
+          });
+        }
+
+        // Check if student is already enrolled
+        if (
+          classData.enrolledStudents &&
+          classData.enrolledStudents.includes(studentUid)
+        ) {
+          return res.status(200).json({
+            success: true,
+            message: "Student is already enrolled in this class",
+          });
+        }
+
+        // The PaymentIntent must have paid the class price for this student
+        const mismatch = paymentIntentMismatch(
+          paymentIntent,
+          classData,
+          studentUid
+        );
+
+        if (mismatch) {
+          return res.status(400).json({
+            success: false,
+            message: mismatch,
+          });
+        }
+
+        // Record the payment and add the student to the class if a seat is
+        // still available
+        const enrollment = await completeStripePayment(paymentIntent, {
+          classId,
+          studentUid,
+          amount: paymentIntent.amount_received / 100,
+          source: "direct_enrollment",
+        });
+
+        if (enrollment === "full" || enrollment === "unavailable") {
+          return res.status(409).json({
+            success: false,
+            message: "Class is full, your payment will be refunded",
+          });
+        }
+
+        res.status(200).json({
+          success: true,
+          message: "Enrollment completed successfully",
+          paymentIntentId,
+        });
+      } catch (error) {
+        console.error("Error processing enrollment:", error);
+        res.status(500).json({
+          success: false,
+          message: "Enrollment processing failed",
+        });
+      }
+    };
+
+    // Process enrollment after payment confirmation
+    app.post(
+      "/process-enrollment",
+      verifyJWT,
+      verifyUser,
+      audit("class.enroll", "class", (req) => req.body.classId),
+      (req, res) => processEnrollment(req, res, req.body.paymentIntentId)
+    );
+
+    // Legacy payment endpoint kept for older clients, the transactionId is
+    // no longer trusted and must be a PaymentIntent that Stripe confirms
+    app.post(
+      "/payments",
+      verifyJWT,
+      verifyUser,
+      audit("class.enroll", "class", (req) => req.body.classId),
+      (req, res) => processEnrollment(req, res, req.body.transactionId)
+    );
+
+    // Refund a payment fully or partially (admin, or the class teacher), a
+    // full refund removes the student from the class unless unenroll is
+    // false and a partial one only when it is true
+    app.post(
+      "/payments/:id/refund",
+      verifyJWT,
+      verifyTeacher,
+      audit("payment.refund", "payment"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { amount, reason, unenroll } = req.body;
+
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid payment ID format",
+            });
+          }
+
+          if (reason != null && typeof reason !== "string") {
+            return res.status(400).json({
+              success: false,
+              message: "Reason must be text",
+            });
+          }
+
+          if (!reason?.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: "A refund reason is required",
+            });
+          }
+
+          const payment = await database
+            .collection("payments")
+            .findOne({ _id: new ObjectId(id) });
+
+          if (!payment) {
+            return res.status(404).json({
+              success: false,
+              message: "Payment not found",
+            });
+          }
+
+          if (req.user.role !== "admin") {
+            const classData = await database
+              .collection("classes")
+              .findOne({ _id: new ObjectId(payment.classId) });
+
+            if (classData?.teacherUid !== req.user.uid) {
+              return res.status(403).json({
+                success: false,
+                message: "Forbidden access",
+              });
+            }
+          }
+
+          const result = await refundPayment(payment, {
+            amount,
+            reason: reason.trim(),
+            refundedBy: req.user.uid,
+            unenroll: typeof unenroll === "boolean" ? unenroll : undefined,
+          });
+
+          if (!result.payment) {
+            return res.status(result.code).json({
+              success: false,
+              message: result.message,
+            });
+          }
+
+          // A refund settles any open request for the payment
+          await refundRequestsCollection.updateMany(
+            { paymentId: payment._id, status: "pending" },
+            {
+              $set: {
+                status: "approved",
+                reviewedBy: req.user.uid,
+                reviewedAt: new Date(),
+              },
+            }
+          );
+
+          res.json({
+            success: true,
+            message: "Payment refunded successfully",
+            payment: result.payment,
+          });
+        } catch (error) {
+          console.error("Error refunding payment:", error);
+          res.status(500).json({
+            success: false,
+            message: "Refund failed",
+          });
+        }
+      }
+    );
+
+    // Ask for a refund of one of the caller's payments, within
+    // REFUND_WINDOW_DAYS of paying
+    app.post(
+      "/payments/:id/refund-request",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { reason } = req.body;
+
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid payment ID format",
+            });
+          }
+
+          if (reason != null && typeof reason !== "string") {
+            return res.status(400).json({
+              success: false,
+              message: "Reason must be text",
+            });
+          }
+
+          if (!reason?.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: "A reason for the refund is required",
+            });
+          }
+
+          const payment = await database
+            .collection("payments")
+            .findOne({ _id: new ObjectId(id), studentUid: req.user.uid });
+
+          if (!payment) {
+            return res.status(404).json({
+              success: false,
+              message: "Payment not found",
+            });
+          }
+
+          if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+            return res.status(409).json({
+              success: false,
+              message: `A ${payment.status} payment cannot be refunded`,
+            });
+          }
+
+          const windowEnd = new Date(
+            payment.createdAt.getTime() +
+              REFUND_WINDOW_DAYS * 24 * 60 * 60 * 1000
+          );
+
+          if (windowEnd < new Date()) {
+            return res.status(400).json({
+              success: false,
+              message: `Refunds can only be requested within ${REFUND_WINDOW_DAYS} days of paying`,
+            });
+          }
+
+          const openRequest = await refundRequestsCollection.findOne({
+            paymentId: payment._id,
+            status: { $in: ["pending", "processing"] },
+          });
+
+          if (openRequest) {
+            return res.status(409).json({
+              success: false,
+              message: "A refund request for this payment is already pending",
+            });
+          }
+
+          // The unique index catches a request made at the same time
+          const result = await refundRequestsCollection
+            .insertOne({
+              paymentId: payment._id,
+              classId: payment.classId,
+              studentUid: req.user.uid,
+              studentName: req.user.name || "",
+              amount:
+                Math.round(
+                  (payment.amount - (payment.refundedAmount || 0)) * 100
+                ) / 100,
+              reason: reason.trim(),
+              status: "pending",
+              requestedAt: new Date(),
+            })
+            .catch((error) => {
+              if (error.code === 11000) {
+                return null;
+              }
+              throw error;
+            });
+
+          if (!result) {
+            return res.status(409).json({
+              success: false,
+              message: "A refund request for this payment is already pending",
+            });
+          }
+
+          res.status(201).json({
+            success: true,
+            message: "Refund request submitted successfully",
+            requestId: result.insertedId,
+          });
+        } catch (error) {
+          console.error("Error requesting refund:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get refund requests, admins see every request and others their own
+    app.get("/refund-requests", verifyJWT, verifyUser, async (req, res) => {
+      try {
+        const { status } = req.query;
+
+        const filter = {};
+
+        if (req.user.role !== "admin") {
+          filter.studentUid = req.user.uid;
+        }
+
+        if (status) {
+          filter.status = status;
+        }
+
+        const { items, pagination, error } = await paginateQuery(
+          refundRequestsCollection,
+          req.query,
+          {
+            defaultLimit: 20,
+            filter,
+            sort: { requestedAt: -1 },
+            totalKey: "totalRequests",
+          }
+        );
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
           });
         }
 
         res.json({
           success: true,
-          message: `Class ${status} successfully`,
+          requests: items,
+          pagination,
         });
       } catch (error) {
-        console.error("Error updating class:", error);
+        console.error("Error fetching refund requests:", error);
         res.status(500).json({
           success: false,
           message: "Internal server error",
@@ -794,109 +6305,301 @@ async function run() {
       }
     });
 
-    // Delete class endpoint
-    app.delete("/classes/:id", verifyJWT, async (req, res) => {
-      try {
-        const { id } = req.params;
-        const classesCollection = database.collection("classes");
+    // Approve (refunding the payment) or deny a refund request (admin)
+    app.patch(
+      "/refund-requests/:id",
+      verifyJWT,
+      verifyAdmin,
+      audit("refund-request.review", "refund-request"),
+      async (req, res) => {
+        try {
+          const { id } = req.params;
+          const { status, reason } = req.body;
+
+          if (!ObjectId.isValid(id)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid refund request ID format",
+            });
+          }
+
+          if (!["approved", "denied"].includes(status)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid status. Must be 'approved' or 'denied'",
+            });
+          }
+
+          if (reason != null && typeof reason !== "string") {
+            return res.status(400).json({
+              success: false,
+              message: "Reason must be text",
+            });
+          }
+
+          // Denials must tell the student why
+          if (status === "denied" && !reason?.trim()) {
+            return res.status(400).json({
+              success: false,
+              message: "A reason is required to deny a refund",
+            });
+          }
+
+          // Claim the request so two admins cannot both act on it
+          const request = await refundRequestsCollection.findOneAndUpdate(
+            { _id: new ObjectId(id), status: "pending" },
+            {
+              $set: {
+                status: "processing",
+                reviewedBy: req.user.uid,
+                reviewedAt: new Date(),
+              },
+            }
+          );
+
+          if (!request) {
+            const existing = await refundRequestsCollection.findOne({
+              _id: new ObjectId(id),
+            });
+
+            if (!existing) {
+              return res.status(404).json({
+                success: false,
+                message: "Refund request not found",
+              });
+            }
+
+            return res.status(409).json({
+              success: false,
+              message:
+                existing.status === "processing"
+                  ? "Refund request is already being reviewed"
+                  : `Refund request has already been ${existing.status}`,
+            });
+          }
+
+          if (status === "approved") {
+            // Give the request back when the refund does not go through
+            const releaseRequest = () =>
+              refundRequestsCollection.updateOne(
+                { _id: request._id, status: "processing" },
+                {
+                  $set: { status: "pending" },
+                  $unset: { reviewedBy: "", reviewedAt: "" },
+                }
+              );
+
+            let result;
+            try {
+              const payment = await database
+                .collection("payments")
+                .findOne({ _id: request.paymentId });
+
+              result = payment
+                ? await refundPayment(payment, {
+                    reason: reason?.trim() || request.reason,
+                    refundedBy: req.user.uid,
+                  })
+                : { code: 404, message: "Payment not found" };
+            } catch (error) {
+              await releaseRequest();
+              throw error;
+            }
+
+            if (!result.payment) {
+              await releaseRequest();
+              return res.status(result.code).json({
+                success: false,
+                message: result.message,
+              });
+            }
+          } else {
+            await notify(
+              request.studentUid,
+              "refund-request.denied",
+              `Your refund request was denied: ${reason.trim()}`,
+              { requestId: request._id, classId: request.classId }
+            );
+          }
+
+          await refundRequestsCollection.updateOne(
+            { _id: request._id, status: "processing" },
+            {
+              $set: {
+                status,
+                decisionReason: reason?.trim() || null,
+                reviewedBy: req.user.uid,
+                reviewedAt: new Date(),
+              },
+            }
+          );
+
+          res.json({
+            success: true,
+            message: `Refund request ${status} successfully`,
+          });
+        } catch (error) {
+          console.error("Error reviewing refund request:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Reconcile payments with the PaymentIntents in Stripe for a date range
+    // (admin), fix records missing payments, corrects amounts and flags
+    // orphaned payments
+    app.post(
+      "/reconciliation-reports",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const { fix = false } = req.body;
+          const to = req.body.to ? new Date(req.body.to) : new Date();
+          const from = req.body.from
+            ? new Date(req.body.from)
+            : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+          if (isNaN(from) || isNaN(to) || from >= to) {
+            return res.status(400).json({
+              success: false,
+              message: "from and to must be dates with from before to",
+            });
+          }
+
+          if (to - from > MAX_RECONCILIATION_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+              success: false,
+              message: `The range cannot exceed ${MAX_RECONCILIATION_DAYS} days`,
+            });
+          }
+
+          const report = await reconcilePayments({
+            stripe: require("stripe")(process.env.STRIPE_SECRET_KEY),
+            database,
+            from,
+            to,
+            fix: fix === true,
+            // Missing payments go through the same checks and path as the
+            // webhook, PaymentIntents it would reject are only reported
+            recordPayment: recordReconciledPayment,
+          });
+
+          const result = await database
+            .collection("reconciliation-reports")
+            .insertOne({
+              ...report,
+              runBy: req.user.uid,
+              createdAt: new Date(),
+            });
+
+          res.status(201).json({
+            success: true,
+            reportId: result.insertedId,
+            report,
+          });
+        } catch (error) {
+          console.error("Error reconciling payments:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
+      }
+    );
+
+    // Get past reconciliation reports, newest first (admin)
+    app.get(
+      "/reconciliation-reports",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const { items, pagination, error } = await paginateQuery(
+            database.collection("reconciliation-reports"),
+            req.query,
+            { defaultLimit: 20, totalKey: "totalReports" }
+          );
 
-        const result = await classesCollection.deleteOne({
-          _id: new ObjectId(id),
-        });
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
 
-        if (result.deletedCount === 0) {
-          return res.status(404).json({
+          res.json({
+            success: true,
+            reports: items,
+            pagination,
+          });
+        } catch (error) {
+          console.error("Error fetching reconciliation reports:", error);
+          res.status(500).json({
             success: false,
-            message: "Class not found",
+            message: "Internal server error",
           });
         }
+      }
+    );
 
-        res.json({
-          success: true,
-          message: "Class deleted successfully",
-        });
-      } catch (error) {
-        console.error("Error deleting class:", error);
-        res.status(500).json({
+    // Stripe webhook, finalizes enrollments server-side even when the
+    // browser never calls /process-enrollment after paying
+    app.post("/webhooks/stripe", async (req, res) => {
+      if (!STRIPE_WEBHOOK_SECRET) {
+        return res.status(500).json({
           success: false,
-          message: "Internal server error",
+          message: "Stripe webhooks are not configured",
         });
       }
-    });
 
-    // Update class content (for teachers)
-    app.patch("/classes/:id/content", verifyJWT, async (req, res) => {
+      let event;
       try {
-        const { id } = req.params;
-        const { title, price, description, image } = req.body;
-
-        // Validate required fields
-        if (!title || price === undefined || !description || !image) {
-          return res.status(400).json({
-            success: false,
-            message: "Missing required fields",
-          });
-        }
-
-        const classesCollection = database.collection("classes");
-
-        const result = await classesCollection.updateOne(
-          { _id: new ObjectId(id) },
-          {
-            $set: {
-              title,
-              price: parseFloat(price),
-              description,
-              image,
-              updatedAt: new Date(),
-            },
-          }
+        event = require("stripe").webhooks.constructEvent(
+          req.rawBody,
+          req.headers["stripe-signature"],
+          STRIPE_WEBHOOK_SECRET
         );
-
-        res.json({
-          success: true,
-          message: "Class updated successfully",
-        });
       } catch (error) {
-        console.error("Error updating class content:", error);
-        res.status(500).json({
+        return res.status(400).json({
           success: false,
-          message: "Internal server error",
+          message: "Invalid webhook signature",
         });
       }
-    });
 
-    // Get single class by ID
-    app.get("/classes/:id", verifyJWT, async (req, res) => {
       try {
-        const { id } = req.params;
-
-        // Validate ObjectId format
-        if (!ObjectId.isValid(id)) {
-          return res.status(400).json({
-            success: false,
-            message: "Invalid class ID format",
+        // Stripe delivers events at least once, each event is applied once
+        try {
+          await stripeEventsCollection.insertOne({
+            _id: event.id,
+            type: event.type,
+            receivedAt: new Date(),
           });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.json({ received: true, duplicate: true });
+          }
+          throw error;
         }
 
-        const classesCollection = database.collection("classes");
-        const classData = await classesCollection.findOne({
-          _id: new ObjectId(id),
-        });
-
-        if (!classData) {
-          return res.status(404).json({
-            success: false,
-            message: "Class not found",
-          });
+        try {
+          const result = await handleStripeEvent(event);
+          await stripeEventsCollection.updateOne(
+            { _id: event.id },
+            { $set: { result, processedAt: new Date() } }
+          );
+        } catch (error) {
+          // Forget the event so the retry from Stripe is applied
+          await stripeEventsCollection.deleteOne({ _id: event.id });
+          throw error;
         }
 
-        res.json({
-          success: true,
-          class: classData,
-        });
+        res.json({ received: true });
       } catch (error) {
-        console.error("Error fetching class details:", error);
+        console.error("Error handling Stripe webhook:", error);
         res.status(500).json({
           success: false,
           message: "Internal server error",
@@ -904,151 +6607,126 @@ async function run() {
       }
     });
 
-    // Process payment and enroll student
-    app.post("/payments", verifyJWT, async (req, res) => {
+    // Create a coupon, teachers can only create coupons for their own classes
+    app.post("/coupons", verifyJWT, verifyTeacher, async (req, res) => {
       try {
-        const {
-          classId,
-          studentUid,
-          studentName,
-          studentEmail,
-          amount,
-          paymentMethodId,
-          transactionId,
-        } = req.body;
+        const { classId } = req.body;
+        const { error, coupon } = validateCoupon(req.body);
 
-        // Validate required fields
-        if (!classId || !studentUid || !amount || !transactionId) {
+        if (error) {
           return res.status(400).json({
             success: false,
-            message: "Missing required payment fields",
-          });
-        }
-
-        // Check if class exists and is approved
-        const classesCollection = database.collection("classes");
-        const classData = await classesCollection.findOne({
-          _id: new ObjectId(classId),
-        });
-
-        if (!classData) {
-          return res.status(404).json({
-            success: false,
-            message: "Class not found",
+            message: error,
           });
         }
 
-        if (classData.status !== "approved") {
+        if (!classId && req.user.role !== "admin") {
           return res.status(400).json({
             success: false,
-            message: "Class is not available for enrollment",
+            message: "Teachers must create coupons for one of their classes",
           });
         }
 
-        // Check if student is already enrolled
-        if (
-          classData.enrolledStudents &&
-          classData.enrolledStudents.includes(studentUid)
-        ) {
-          return res.status(409).json({
-            success: false,
-            message: "Student is already enrolled in this class",
-          });
+        if (classId) {
+          const classData = ObjectId.isValid(classId)
+            ? await database
+                .collection("classes")
+                .findOne({ _id: new ObjectId(classId) })
+            : null;
+
+          if (!classData) {
+            return res.status(404).json({
+              success: false,
+              message: "Class not found",
+            });
+          }
+
+          if (
+            req.user.role !== "admin" &&
+            classData.teacherUid !== req.user.uid
+          ) {
+            return res.status(403).json({
+              success: false,
+              message: "Forbidden access",
+            });
+          }
         }
 
-        // Store payment transaction
-        const paymentsCollection = database.collection("payments");
-        const paymentDoc = {
-          transactionId,
-          classId,
-          studentUid,
-          studentName,
-          studentEmail,
-          amount: parseFloat(amount),
-          paymentMethod: "stripe",
-          paymentMethodId: paymentMethodId || null,
-          status: "completed",
+        const couponDoc = {
+          ...coupon,
+          scope: classId ? "class" : "global",
+          classId: classId || null,
+          active: true,
+          redemptionCount: 0,
+          createdBy: req.user.uid,
+          createdByRole: req.user.role,
           createdAt: new Date(),
+          updatedAt: new Date(),
         };
 
-        const paymentResult = await paymentsCollection.insertOne(paymentDoc);
-
-        // Add student to class enrollment
-        await classesCollection.updateOne(
-          { _id: new ObjectId(classId) },
-          {
-            $addToSet: { enrolledStudents: studentUid },
-            $set: { updatedAt: new Date() },
-          }
-        );
+        const result = await couponsCollection.insertOne(couponDoc);
 
         res.status(201).json({
           success: true,
-          message: "Payment successful and enrolled in class",
-          paymentId: paymentResult.insertedId,
-          transactionId,
+          message: "Coupon created successfully",
+          couponId: result.insertedId,
         });
       } catch (error) {
-        console.error("Error processing payment:", error);
+        // Coupon codes are unique
+        if (error.code === 11000) {
+          return res.status(409).json({
+            success: false,
+            message: "A coupon with this code already exists",
+          });
+        }
+
+        console.error("Error creating coupon:", error);
         res.status(500).json({
           success: false,
-          message: "Payment processing failed",
+          message: "Internal server error",
         });
       }
     });
 
-    // Get enrolled classes for a student with pagination
-    app.get("/students/:uid/enrolled-classes", verifyJWT, async (req, res) => {
+    // Get coupons, teachers only see the coupons they created
+    app.get("/coupons", verifyJWT, verifyTeacher, async (req, res) => {
       try {
-        const { uid } = req.params;
-        const classesCollection = database.collection("classes");
+        const { classId, active } = req.query;
 
-        // Extract query parameters
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 5;
+        const filter = {};
 
-        // Validate pagination parameters
-        const validatedPage = Math.max(1, page);
-        const validatedLimit = Math.min(Math.max(1, limit), 100); // Max 100 items per page
-        const skip = (validatedPage - 1) * validatedLimit;
+        if (req.user.role !== "admin") {
+          filter.createdBy = req.user.uid;
+        }
 
-        // Build filter query for enrolled classes
-        const filterQuery = {
-          enrolledStudents: uid,
-          status: "approved",
-        };
+        if (classId) {
+          filter.classId = classId;
+        }
 
-        // Get total count for pagination
-        const totalClasses = await classesCollection.countDocuments(
-          filterQuery
+        if (active === "true" || active === "false") {
+          filter.active = active === "true";
+        }
+
+        const { items, pagination, error } = await paginateQuery(
+          couponsCollection,
+          req.query,
+          { defaultLimit: 20, filter, totalKey: "totalCoupons" }
         );
-        const totalPages = Math.ceil(totalClasses / validatedLimit);
-
-        // Fetch enrolled classes with pagination
-        const enrolledClasses = await classesCollection
-          .find(filterQuery)
-          .sort({ updatedAt: -1 })
-          .skip(skip)
-          .limit(validatedLimit)
-          .toArray();
+
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+          });
+        }
 
         res.json({
           success: true,
-          classes: enrolledClasses,
-          pagination: {
-            currentPage: validatedPage,
-            pageSize: validatedLimit,
-            totalClasses,
-            totalPages,
-            hasNextPage: validatedPage < totalPages,
-            hasPrevPage: validatedPage > 1,
-          },
-          // Legacy fields for backward compatibility
-          totalClasses,
-          totalPages,
+          coupons: items,
+          pagination,
         });
       } catch (error) {
-        console.error("Error fetching enrolled classes:", error);
+        console.error("Error fetching coupons:", error);
         res.status(500).json({
           success: false,
           message: "Internal server error",
@@ -1056,225 +6734,247 @@ async function run() {
       }
     });
 
-    // Get payment history for a student
-    app.get("/students/:uid/payments", verifyJWT, async (req, res) => {
+    // Check a coupon code for a class and preview the discounted price
+    app.post("/coupons/validate", verifyJWT, verifyUser, async (req, res) => {
       try {
-        const { uid } = req.params;
-        const paymentsCollection = database.collection("payments");
+        const { code, classId } = req.body;
 
-        const payments = await paymentsCollection
-          .find({ studentUid: uid })
-          .sort({ createdAt: -1 })
-          .toArray();
+        if (!code || !classId || !ObjectId.isValid(classId)) {
+          return res.status(400).json({
+            success: false,
+            message: "A coupon code and a valid class ID are required",
+          });
+        }
 
-        res.json({
-          success: true,
-          payments,
-        });
-      } catch (error) {
-        console.error("Error fetching payment history:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
-      }
-    });
+        const classData = await database
+          .collection("classes")
+          .findOne({ _id: new ObjectId(classId), status: "approved" });
 
-    // Create payment intent
-    app.post("/create-payment-intent", verifyJWT, async (req, res) => {
-      try {
-        const { amount, currency = "usd", classId, studentUid } = req.body;
+        if (!classData) {
+          return res.status(404).json({
+            success: false,
+            message: "Class not found",
+          });
+        }
 
-        const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+        const resolved = await resolveCoupon(code, classData, req.user.uid);
 
-        const paymentIntent = await stripe.paymentIntents.create({
-          amount: Math.round(amount * 100), // Stripe expects cents
-          currency: currency,
-          metadata: {
-            classId: classId,
-            studentUid: studentUid,
-          },
-        });
+        if (!resolved.coupon) {
+          return res.status(resolved.code).json({
+            success: false,
+            message: resolved.message,
+          });
+        }
 
         res.json({
           success: true,
-          clientSecret: paymentIntent.client_secret,
-          paymentIntentId: paymentIntent.id,
+          code: resolved.coupon.code,
+          pricing: resolved.pricing,
         });
       } catch (error) {
-        console.error("Error creating payment intent:", error);
+        console.error("Error validating coupon:", error);
         res.status(500).json({
           success: false,
-          message: "Failed to create payment intent",
+          message: "Internal server error",
         });
       }
     });
 
-    // Process enrollment after payment confirmation
-    app.post("/process-enrollment", verifyJWT, async (req, res) => {
-      try {
-        const {
-          paymentIntentId,
-          classId,
-          studentUid,
-          studentName,
-          studentEmail,
-          amount,
-        } = req.body;
-
-        // Validate required fields
-        if (!paymentIntentId || !classId || !studentUid || !amount) {
-          return res.status(400).json({
-            success: false,
-            message: "Missing required enrollment fields",
-          });
-        }
-
-        // Verify payment intent exists and was successful (optional but recommended)
+    // Update the limits of a coupon or deactivate it (creator or admin)
+    app.patch(
+      "/coupons/:id",
+      verifyJWT,
+      verifyTeacher,
+      verifyCouponOwner,
+      audit("coupon.update", "coupon"),
+      async (req, res) => {
         try {
-          const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
-          const paymentIntent = await stripe.paymentIntents.retrieve(
-            paymentIntentId
-          );
+          const { active } = req.body;
+          const { error, limits } = validateCouponLimits(req.body);
 
-          if (paymentIntent.status !== "succeeded") {
+          if (error) {
             return res.status(400).json({
               success: false,
-              message: "Payment was not successful",
+              message: error,
             });
           }
-        } catch (stripeError) {
-          console.error("Error verifying payment intent:", stripeError);
-          return res.status(400).json({
-            success: false,
-            message: "Unable to verify payment",
-          });
-        }
 
-        // Check if class exists and is approved
-        const classesCollection = database.collection("classes");
-        const classData = await classesCollection.findOne({
-          _id: new ObjectId(classId),
-        });
+          const update = { ...limits, updatedAt: new Date() };
 
-        if (!classData) {
-          return res.status(404).json({
+          if (active !== undefined) {
+            if (typeof active !== "boolean") {
+              return res.status(400).json({
+                success: false,
+                message: "active must be true or false",
+              });
+            }
+            update.active = active;
+          }
+
+          await couponsCollection.updateOne(
+            { _id: req.coupon._id },
+            { $set: update }
+          );
+
+          res.json({
+            success: true,
+            message: "Coupon updated successfully",
+          });
+        } catch (error) {
+          console.error("Error updating coupon:", error);
+          res.status(500).json({
             success: false,
-            message: "Class not found",
+            message: "Internal server error",
           });
         }
+      }
+    );
 
-        if (classData.status !== "approved") {
-          return res.status(400).json({
-            success: false,
-            message: "Class is not available for enrollment",
+    // Delete a coupon that was never redeemed (creator or admin)
+    app.delete(
+      "/coupons/:id",
+      verifyJWT,
+      verifyTeacher,
+      verifyCouponOwner,
+      audit("coupon.delete", "coupon"),
+      async (req, res) => {
+        try {
+          // Redeemed coupons are referenced by payments
+          const result = await couponsCollection.deleteOne({
+            _id: req.coupon._id,
+            redemptionCount: 0,
           });
-        }
 
-        // Check if student is already enrolled
-        if (
-          classData.enrolledStudents &&
-          classData.enrolledStudents.includes(studentUid)
-        ) {
-          return res.status(200).json({
+          if (result.deletedCount === 0) {
+            return res.status(409).json({
+              success: false,
+              message: "Coupon has been redeemed, deactivate it instead",
+            });
+          }
+
+          res.json({
             success: true,
-            message: "Student is already enrolled in this class",
+            message: "Coupon deleted successfully",
+          });
+        } catch (error) {
+          console.error("Error deleting coupon:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
           });
         }
+      }
+    );
 
-        // Store payment transaction
-        const paymentsCollection = database.collection("payments");
-
-        // Check if payment record already exists
-        const existingPayment = await paymentsCollection.findOne({
-          $or: [
-            { stripePaymentIntentId: paymentIntentId },
-            { transactionId: paymentIntentId },
-          ],
-        });
+    // Get the payments a coupon was redeemed on with totals (creator or admin)
+    app.get(
+      "/coupons/:id/redemptions",
+      verifyJWT,
+      verifyTeacher,
+      verifyCouponOwner,
+      async (req, res) => {
+        try {
+          const paymentsCollection = database.collection("payments");
 
-        if (!existingPayment) {
-          const paymentDoc = {
-            stripePaymentIntentId: paymentIntentId,
-            transactionId: paymentIntentId,
-            classId,
-            studentUid,
-            studentName: studentName || "",
-            studentEmail: studentEmail || "",
-            amount: parseFloat(amount),
-            paymentMethod: "stripe",
-            status: "completed",
-            createdAt: new Date(),
-            source: "direct_enrollment",
-          };
+          const filter = { "coupon.couponId": req.coupon._id };
 
-          await paymentsCollection.insertOne(paymentDoc);
-        }
+          const { items, pagination, error } = await paginateQuery(
+            paymentsCollection,
+            req.query,
+            { defaultLimit: 20, filter, totalKey: "totalRedemptions" }
+          );
 
-        // Add student to class enrollment
-        await classesCollection.updateOne(
-          { _id: new ObjectId(classId) },
-          {
-            $addToSet: { enrolledStudents: studentUid },
-            $set: { updatedAt: new Date() },
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
           }
-        );
-
-        res.status(200).json({
-          success: true,
-          message: "Enrollment completed successfully",
-          paymentIntentId,
-        });
-      } catch (error) {
-        console.error("Error processing enrollment:", error);
-        res.status(500).json({
-          success: false,
-          message: "Enrollment processing failed",
-        });
-      }
-    });
 
-    // Create assignment
-    app.post("/assignments", verifyJWT, async (req, res) => {
-      try {
-        const { classId, teacherUid, title, deadline, description, createdAt } =
-          req.body;
+          const [totals] = await paymentsCollection
+            .aggregate([
+              { $match: filter },
+              {
+                $group: {
+                  _id: null,
+                  redemptions: { $sum: 1 },
+                  totalDiscount: { $sum: "$coupon.discountAmount" },
+                  totalRevenue: { $sum: "$amount" },
+                },
+              },
+            ])
+            .toArray();
 
-        // Validate required fields
-        if (!classId || !teacherUid || !title || !deadline || !description) {
-          return res.status(400).json({
+          res.json({
+            success: true,
+            coupon: req.coupon,
+            redemptions: items,
+            totals: {
+              redemptions: totals?.redemptions || 0,
+              totalDiscount: totals?.totalDiscount || 0,
+              totalRevenue: totals?.totalRevenue || 0,
+            },
+            pagination,
+          });
+        } catch (error) {
+          console.error("Error fetching coupon redemptions:", error);
+          res.status(500).json({
             success: false,
-            message: "Missing required fields",
+            message: "Internal server error",
           });
         }
+      }
+    );
 
-        const assignmentsCollection = database.collection("assignments");
+    // Create assignment
+    app.post(
+      "/assignments",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner("classId"),
+      async (req, res) => {
+        try {
+          const { classId, title, deadline, description, createdAt } = req.body;
 
-        const assignmentDoc = {
-          classId,
-          teacherUid,
-          title,
-          deadline: new Date(deadline),
-          description,
-          createdAt: new Date(createdAt),
-          updatedAt: new Date(),
-        };
+          // Assignments belong to the class teacher
+          const teacherUid = req.classData.teacherUid;
 
-        const result = await assignmentsCollection.insertOne(assignmentDoc);
+          // Validate required fields
+          if (!title || !deadline || !description) {
+            return res.status(400).json({
+              success: false,
+              message: "Missing required fields",
+            });
+          }
 
-        res.status(201).json({
-          success: true,
-          message: "Assignment created successfully",
-          assignmentId: result.insertedId,
-        });
-      } catch (error) {
-        console.error("Error creating assignment:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
+          const assignmentsCollection = database.collection("assignments");
+
+          const assignmentDoc = {
+            classId,
+            teacherUid,
+            title,
+            deadline: new Date(deadline),
+            description,
+            createdAt: new Date(createdAt),
+            updatedAt: new Date(),
+          };
+
+          const result = await assignmentsCollection.insertOne(assignmentDoc);
+
+          res.status(201).json({
+            success: true,
+            message: "Assignment created successfully",
+            assignmentId: result.insertedId,
+          });
+        } catch (error) {
+          console.error("Error creating assignment:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
       }
-    });
+    );
 
     // Get assignments for a class
     app.get("/assignments/class/:classId", verifyJWT, async (req, res) => {
@@ -1301,33 +7001,58 @@ async function run() {
     });
 
     // Get submissions for a class
-    app.get("/submissions/class/:classId", verifyJWT, async (req, res) => {
-      try {
-        const { classId } = req.params;
-        const submissionsCollection = database.collection("submissions");
+    app.get(
+      "/submissions/class/:classId",
+      verifyJWT,
+      verifyTeacher,
+      verifyClassOwner("classId"),
+      async (req, res) => {
+        try {
+          const { classId } = req.params;
+          const submissionsCollection = database.collection("submissions");
 
-        const submissions = await submissionsCollection
-          .find({ classId })
-          .sort({ submittedAt: -1 })
-          .toArray();
+          // Fetch submissions with pagination, every item when no page, limit
+          // or cursor is given
+          const {
+            error,
+            items: submissions,
+            pagination,
+          } = await paginateQuery(submissionsCollection, req.query, {
+            defaultLimit: 20,
+            optional: true,
+            filter: { classId },
+            sort: { submittedAt: -1 },
+            totalKey: "totalSubmissions",
+          });
 
-        res.json({
-          success: true,
-          submissions,
-        });
-      } catch (error) {
-        console.error("Error fetching submissions:", error);
-        res.status(500).json({
-          success: false,
-          message: "Internal server error",
-        });
+          if (error) {
+            return res.status(400).json({
+              success: false,
+              message: error,
+            });
+          }
+
+          res.json({
+            success: true,
+            submissions,
+            pagination,
+          });
+        } catch (error) {
+          console.error("Error fetching submissions:", error);
+          res.status(500).json({
+            success: false,
+            message: "Internal server error",
+          });
+        }
       }
-    });
+    );
 
     // Get submissions for a specific student in a specific class
     app.get(
       "/submissions/student/:uid/class/:classId",
       verifyJWT,
+      verifyUser,
+      verifySelf,
       async (req, res) => {
         try {
           const { uid, classId } = req.params;
@@ -1356,26 +7081,57 @@ async function run() {
     );
 
     // Create a new assignment submission
-    app.post("/submissions", verifyJWT, async (req, res) => {
+    app.post("/submissions", verifyJWT, verifyUser, async (req, res) => {
       try {
+        const { assignmentId, classId, submissionText, submittedAt } = req.body;
+
+        // Student identity comes from the token, not the request body
         const {
-          assignmentId,
-          classId,
-          studentUid,
-          studentName,
-          studentEmail,
-          submissionText,
-          submittedAt,
-        } = req.body;
+          uid: studentUid,
+          name: studentName,
+          email: studentEmail,
+        } = req.user;
 
         // Validate required fields
-        if (!assignmentId || !classId || !studentUid || !submissionText) {
+        if (!assignmentId || !classId || !submissionText) {
           return res.status(400).json({
             success: false,
             message: "Missing required fields",
           });
         }
 
+        if (!ObjectId.isValid(assignmentId) || !ObjectId.isValid(classId)) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid assignment or class ID format",
+          });
+        }
+
+        // Only students enrolled in the class can submit
+        const isEnrolled = await database.collection("classes").findOne({
+          _id: new ObjectId(classId),
+          enrolledStudents: studentUid,
+        });
+
+        if (!isEnrolled) {
+          return res.status(403).json({
+            success: false,
+            message: "You are not enrolled in this class",
+          });
+        }
+
+        // The assignment must belong to the class the student is enrolled in
+        const assignment = await database
+          .collection("assignments")
+          .findOne({ _id: new ObjectId(assignmentId) });
+
+        if (!assignment || assignment.classId !== classId) {
+          return res.status(404).json({
+            success: false,
+            message: "Assignment not found",
+          });
+        }
+
         const submissionsCollection = database.collection("submissions");
 
         // Check if student has already submitted this assignment
@@ -1420,76 +7176,187 @@ async function run() {
     });
 
     // Create a new teaching evaluation
-    app.post("/teaching-evaluations", verifyJWT, async (req, res) => {
-      try {
-        const {
-          classId,
-          teacherUid,
-          studentUid,
-          studentName,
-          studentEmail,
-          rating,
-          description,
-          submittedAt,
-        } = req.body;
+    app.post(
+      "/teaching-evaluations",
+      verifyJWT,
+      verifyUser,
+      async (req, res) => {
+        try {
+          const { classId, rating, description, submittedAt } = req.body;
 
-        // Validate required fields
-        if (!classId || !teacherUid || !studentUid || !rating || !description) {
-          return res.status(400).json({
-            success: false,
-            message: "Missing required fields",
+          // Student identity comes from the token, not the request body
+          const {
+            uid: studentUid,
+            name: studentName,
+            email: studentEmail,
+          } = req.user;
+
+          // Validate required fields
+          if (!classId || !rating || !description) {
+            return res.status(400).json({
+              success: false,
+              message: "Missing required fields",
+            });
+          }
+
+          if (!ObjectId.isValid(classId)) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid class ID format",
+            });
+          }
+
+          // Only students enrolled in the class can evaluate its teacher
+          const classData = await database.collection("classes").findOne({
+            _id: new ObjectId(classId),
+            enrolledStudents: studentUid,
           });
-        }
 
-        // Validate rating range
-        if (rating < 1 || rating > 5) {
-          return res.status(400).json({
+          if (!classData) {
+            return res.status(403).json({
+              success: false,
+              message: "You are not enrolled in this class",
+            });
+          }
+
+          const teacherUid = classData.teacherUid;
+
+          // Validate rating range
+          if (rating < 1 || rating > 5) {
+            return res.status(400).json({
+              success: false,
+              message: "Rating must be between 1 and 5",
+            });
+          }
+
+          const teachingEvaluationsCollection = database.collection(
+            "teaching-evaluations"
+          );
+
+          // Check if student has already submitted evaluation for this class
+          const existingEvaluation =
+            await teachingEvaluationsCollection.findOne({
+              classId,
+              studentUid,
+            });
+
+          if (existingEvaluation) {
+            return res.status(409).json({
+              success: false,
+              message:
+                "You have already submitted an evaluation for this class",
+            });
+          }
+
+          // Create evaluation document
+          const evaluationDoc = {
+            classId,
+            teacherUid,
+            studentUid,
+            studentName: studentName || "",
+            studentEmail: studentEmail || "",
+            rating: parseInt(rating),
+            description,
+            submittedAt: new Date(submittedAt),
+            createdAt: new Date(),
+          };
+
+          const result = await teachingEvaluationsCollection.insertOne(
+            evaluationDoc
+          );
+
+          res.status(201).json({
+            success: true,
+            message: "Teaching evaluation submitted successfully",
+            evaluationId: result.insertedId,
+          });
+        } catch (error) {
+          console.error("Error creating teaching evaluation:", error);
+          res.status(500).json({
             success: false,
-            message: "Rating must be between 1 and 5",
+            message: "Internal server error",
           });
         }
+      }
+    );
 
-        const teachingEvaluationsCollection = database.collection(
-          "teaching-evaluations"
-        );
+    // Get audit logs with pagination and filters (admin only)
+    app.get("/audit-logs", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        // Extract query parameters
+        const actor = req.query.actor || null;
+        const action = req.query.action || null;
+        const targetType = req.query.targetType || null;
+        const targetId = req.query.targetId || null;
+        const from = req.query.from || null;
+        const to = req.query.to || null;
 
-        // Check if student has already submitted evaluation for this class
-        const existingEvaluation = await teachingEvaluationsCollection.findOne({
-          classId,
-          studentUid,
+        // Build filter query
+        let filterQuery = {};
+
+        if (actor) {
+          filterQuery["actor.uid"] = actor;
+        }
+
+        if (action) {
+          filterQuery.action = action;
+        }
+
+        if (targetType) {
+          filterQuery.targetType = targetType;
+        }
+
+        if (targetId) {
+          filterQuery.targetId = targetId;
+        }
+
+        // Filter by date range
+        if (from || to) {
+          filterQuery.timestamp = {};
+          if (from) {
+            filterQuery.timestamp.$gte = new Date(from);
+          }
+          if (to) {
+            filterQuery.timestamp.$lte = new Date(to);
+          }
+          if (
+            Object.values(filterQuery.timestamp).some((date) =>
+              isNaN(date.getTime())
+            )
+          ) {
+            return res.status(400).json({
+              success: false,
+              message: "Invalid from or to date",
+            });
+          }
+        }
+
+        // Fetch audit logs with pagination
+        const {
+          error,
+          items: logs,
+          pagination,
+        } = await paginateQuery(auditLogsCollection, req.query, {
+          defaultLimit: 20,
+          filter: filterQuery,
+          sort: { timestamp: -1 },
+          totalKey: "totalLogs",
         });
 
-        if (existingEvaluation) {
-          return res.status(409).json({
+        if (error) {
+          return res.status(400).json({
             success: false,
-            message: "You have already submitted an evaluation for this class",
+            message: error,
           });
         }
 
-        // Create evaluation document
-        const evaluationDoc = {
-          classId,
-          teacherUid,
-          studentUid,
-          studentName: studentName || "",
-          studentEmail: studentEmail || "",
-          rating: parseInt(rating),
-          description,
-          submittedAt: new Date(submittedAt),
-          createdAt: new Date(),
-        };
-
-        const result = await teachingEvaluationsCollection.insertOne(
-          evaluationDoc
-        );
-
-        res.status(201).json({
+        res.json({
           success: true,
-          message: "Teaching evaluation submitted successfully",
-          evaluationId: result.insertedId,
+          logs,
+          pagination,
         });
       } catch (error) {
-        console.error("Error creating teaching evaluation:", error);
+        console.error("Error fetching audit logs:", error);
         res.status(500).json({
           success: false,
           message: "Internal server error",
@@ -1589,7 +7456,9 @@ async function run() {
     app.get("/public-statistics", async (req, res) => {
       try {
         // Get total users count
-        const totalUsers = await usersCollection.countDocuments({});
+        const totalUsers = await usersCollection.countDocuments({
+          status: { $ne: "deleted" },
+        });
 
         // Get total approved classes count
         const classesCollection = database.collection("classes");
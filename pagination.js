@@ -0,0 +1,193 @@
+const { BSON } = require("mongodb");
+
+// Largest page size any list endpoint returns
+const MAX_PAGE_SIZE = 100;
+
+// Read a value from a document by a dotted path such as "actor.uid"
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Cursors are the sort key values of the last item of a page, EJSON keeps
+// dates and ObjectIds intact and base64url makes the token opaque
+const encodeCursor = (doc, sortEntries) =>
+  Buffer.from(
+    BSON.EJSON.stringify(sortEntries.map(([key]) => getPath(doc, key) ?? null))
+  ).toString("base64url");
+
+const decodeCursor = (cursor, sortEntries) => {
+  try {
+    const values = BSON.EJSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    return Array.isArray(values) && values.length === sortEntries.length
+      ? values
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Append _id as a tie-breaker so the order is total and pages are stable
+const toSortEntries = (sort) => {
+  const entries = Object.entries(sort).filter(([key]) => key !== "_id");
+  const lastDirection = entries.length ? entries[entries.length - 1][1] : -1;
+  return [...entries, ["_id", sort._id || lastDirection]];
+};
+
+// Conditions on one sort key matching the values after the cursor value.
+// Missing and null values sort before everything else, so they come first in
+// ascending order and last in descending order
+const afterValueConditions = (direction, value) => {
+  if (direction === 1) {
+    return [value === null ? { $ne: null } : { $gt: value }];
+  }
+  return value === null ? [] : [{ $lt: value }, null];
+};
+
+// Keyset condition matching the items that come after the cursor position
+const keysetFilter = (sortEntries, values) => ({
+  $or: sortEntries.flatMap(([key, direction], index) =>
+    afterValueConditions(direction, values[index]).map((keyCondition) => {
+      const condition = {};
+      sortEntries.slice(0, index).forEach(([prevKey], prevIndex) => {
+        condition[prevKey] = values[prevIndex];
+      });
+      condition[key] = keyCondition;
+      return condition;
+    })
+  ),
+});
+
+// Parse page/limit/cursor query parameters, cursor mode is used when a
+// cursor parameter is present (empty for the first page). Optional lists
+// return every item when none of the parameters are given
+const parsePagination = (
+  query,
+  defaultLimit = 10,
+  { optional = false } = {}
+) => {
+  if (
+    optional &&
+    query.page === undefined &&
+    query.limit === undefined &&
+    query.cursor === undefined
+  ) {
+    return { mode: "all" };
+  }
+
+  const limit = parseInt(query.limit) || defaultLimit;
+  const validatedLimit = Math.min(Math.max(1, limit), MAX_PAGE_SIZE);
+
+  if (query.cursor !== undefined) {
+    if (typeof query.cursor !== "string") {
+      return { error: "Invalid cursor" };
+    }
+    return { mode: "cursor", limit: validatedLimit, cursor: query.cursor };
+  }
+
+  const page = parseInt(query.page) || 1;
+  const validatedPage = Math.max(1, page);
+  return {
+    mode: "page",
+    page: validatedPage,
+    limit: validatedLimit,
+    skip: (validatedPage - 1) * validatedLimit,
+  };
+};
+
+// Fetch one page of a collection with an aggregation:
+// - filter is the first $match (so $text searches work)
+// - stages run before sorting, e.g. $addFields for computed sort keys
+// - totalKey names the total in page mode, e.g. "totalUsers"
+// Page mode returns the classic pagination block, cursor mode returns
+// nextCursor for the next page and skips the total count, "all" mode returns
+// every item without a pagination block
+const paginate = async (
+  collection,
+  options,
+  {
+    filter = {},
+    stages = [],
+    sort = { createdAt: -1 },
+    totalKey = "totalItems",
+  }
+) => {
+  const sortEntries = toSortEntries(sort);
+  const pipeline = [{ $match: filter }, ...stages];
+
+  if (options.mode === "cursor" && options.cursor) {
+    const values = decodeCursor(options.cursor, sortEntries);
+    if (!values) {
+      return { error: "Invalid cursor" };
+    }
+    pipeline.push({ $match: keysetFilter(sortEntries, values) });
+  }
+
+  pipeline.push({ $sort: Object.fromEntries(sortEntries) });
+
+  if (options.mode === "all") {
+    return { items: await collection.aggregate(pipeline).toArray() };
+  }
+
+  if (options.mode === "page") {
+    pipeline.push({ $skip: options.skip });
+  }
+
+  // Fetch one extra item to know whether there is a next page
+  pipeline.push({ $limit: options.limit + 1 });
+
+  const results = await collection.aggregate(pipeline).toArray();
+  const hasNextPage = results.length > options.limit;
+  const items = results.slice(0, options.limit);
+
+  if (options.mode === "cursor") {
+    return {
+      items,
+      pagination: {
+        pageSize: options.limit,
+        hasNextPage,
+        nextCursor: hasNextPage
+          ? encodeCursor(items[items.length - 1], sortEntries)
+          : null,
+      },
+    };
+  }
+
+  const total = await collection.countDocuments(filter);
+  const totalPages = Math.ceil(total / options.limit);
+
+  return {
+    items,
+    pagination: {
+      currentPage: options.page,
+      pageSize: options.limit,
+      [totalKey]: total,
+      totalPages,
+      hasNextPage,
+      hasPrevPage: options.page > 1,
+    },
+  };
+};
+
+// Parse the pagination query parameters and fetch the page, returns
+// { error } for invalid parameters
+const paginateQuery = async (
+  collection,
+  query,
+  { defaultLimit = 10, optional = false, ...paginateOptions }
+) => {
+  const options = parsePagination(query, defaultLimit, { optional });
+  if (options.error) {
+    return { error: options.error };
+  }
+  return paginate(collection, options, paginateOptions);
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  parsePagination,
+  paginate,
+  paginateQuery,
+};
@@ -0,0 +1,234 @@
+const { ObjectId } = require("mongodb");
+
+// Payment states that mean the money was taken, refunds do not change the
+// status of the PaymentIntent itself
+const CHARGED_PAYMENT_STATUSES = [
+  "completed",
+  "partially_refunded",
+  "refunded",
+  "refund_required",
+];
+
+// List the PaymentIntents created in [from, to), page by page
+const listPaymentIntents = async (stripe, from, to) => {
+  const paymentIntents = [];
+  let startingAfter = null;
+
+  do {
+    const page = await stripe.paymentIntents.list({
+      created: {
+        gte: Math.floor(from.getTime() / 1000),
+        lt: Math.floor(to.getTime() / 1000),
+      },
+      limit: 100,
+      ...(startingAfter && { starting_after: startingAfter }),
+    });
+
+    paymentIntents.push(...page.data);
+    startingAfter = page.has_more ? page.data[page.data.length - 1].id : null;
+  } while (startingAfter);
+
+  return paymentIntents;
+};
+
+// Look up a PaymentIntent, null when Stripe does not know it
+const findPaymentIntent = async (stripe, id) => {
+  if (typeof id !== "string" || !id.startsWith("pi_")) {
+    return null;
+  }
+  try {
+    return await stripe.paymentIntents.retrieve(id);
+  } catch (error) {
+    if (error.code === "resource_missing" || error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Compare the class PaymentIntents created in [from, to) with the payments
+// collection and report:
+// - missing: succeeded PaymentIntents without a payment
+// - mismatched: payments whose amount or status disagrees with Stripe
+// - orphaned: payments in the range that Stripe has no PaymentIntent for
+// With fix, missing payments are recorded (enrolling the student) through
+// recordPayment, which resolves with { enrollment } or with { mismatch } for
+// PaymentIntents that cannot pay for the enrollment. Amounts are corrected
+// from Stripe and orphaned payments are flagged. Status mismatches are only reported since they may need a refund
+const reconcilePayments = async ({
+  stripe,
+  database,
+  from,
+  to,
+  fix = false,
+  recordPayment,
+}) => {
+  // Recording a payment also handles seats, waitlists and coupons, see
+  // recordReconciledPayment in enrollment.js
+  if (fix && typeof recordPayment !== "function") {
+    throw new Error("recordPayment is required to fix payments");
+  }
+
+  const paymentsCollection = database.collection("payments");
+  const checkedAt = new Date();
+
+  // PaymentIntents with malformed metadata were not made by checkout
+  const paymentIntents = (await listPaymentIntents(stripe, from, to)).filter(
+    (paymentIntent) =>
+      ObjectId.isValid(paymentIntent.metadata?.classId) &&
+      paymentIntent.metadata.studentUid
+  );
+
+  const report = {
+    from,
+    to,
+    fix,
+    checkedPaymentIntents: paymentIntents.length,
+    checkedPayments: 0,
+    missing: [],
+    mismatched: [],
+    orphaned: [],
+  };
+
+  const matchedPaymentIds = new Set();
+
+  for (const paymentIntent of paymentIntents) {
+    const payment = await paymentsCollection.findOne({
+      $or: [
+        { stripePaymentIntentId: paymentIntent.id },
+        { transactionId: paymentIntent.id },
+      ],
+    });
+
+    if (!payment) {
+      if (paymentIntent.status !== "succeeded") {
+        continue;
+      }
+
+      const entry = {
+        paymentIntentId: paymentIntent.id,
+        classId: paymentIntent.metadata.classId,
+        studentUid: paymentIntent.metadata.studentUid,
+        amount: paymentIntent.amount_received / 100,
+        fixed: false,
+      };
+
+      if (fix) {
+        const { mismatch, enrollment } = await recordPayment(paymentIntent);
+        if (mismatch) {
+          entry.mismatch = mismatch;
+        } else {
+          entry.enrollment = enrollment;
+          entry.fixed = true;
+        }
+      }
+
+      report.missing.push(entry);
+      continue;
+    }
+
+    matchedPaymentIds.add(payment._id.toString());
+
+    const stripeCharged = paymentIntent.status === "succeeded";
+    const recordedCharged = CHARGED_PAYMENT_STATUSES.includes(payment.status);
+    const stripeAmount = paymentIntent.amount_received / 100;
+
+    if (stripeCharged !== recordedCharged) {
+      report.mismatched.push({
+        paymentId: payment._id,
+        paymentIntentId: paymentIntent.id,
+        field: "status",
+        recorded: payment.status,
+        stripe: paymentIntent.status,
+        fixed: false,
+      });
+    } else if (stripeCharged && payment.amount !== stripeAmount) {
+      const entry = {
+        paymentId: payment._id,
+        paymentIntentId: paymentIntent.id,
+        field: "amount",
+        recorded: payment.amount,
+        stripe: stripeAmount,
+        fixed: false,
+      };
+
+      if (fix) {
+        await paymentsCollection.updateOne(
+          { _id: payment._id },
+          {
+            $set: {
+              amount: stripeAmount,
+              reconciliation: {
+                status: "fixed",
+                reason: `Amount corrected from ${payment.amount}`,
+                checkedAt,
+              },
+            },
+          }
+        );
+        entry.fixed = true;
+      }
+
+      report.mismatched.push(entry);
+    } else if (fix && payment.reconciliation?.status === "pending") {
+      // Flagged legacy payments that Stripe confirms are verified now
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        { $set: { reconciliation: { status: "verified", checkedAt } } }
+      );
+    }
+  }
+
+  // Payments recorded in the range that did not match a listed PaymentIntent
+  const payments = await paymentsCollection
+    .find({ paymentMethod: "stripe", createdAt: { $gte: from, $lt: to } })
+    .toArray();
+
+  report.checkedPayments = payments.length;
+
+  for (const payment of payments) {
+    if (matchedPaymentIds.has(payment._id.toString())) {
+      continue;
+    }
+
+    const paymentIntentId =
+      payment.stripePaymentIntentId || payment.transactionId;
+
+    // The PaymentIntent may have been created just before the range
+    if (await findPaymentIntent(stripe, paymentIntentId)) {
+      continue;
+    }
+
+    const entry = {
+      paymentId: payment._id,
+      transactionId: paymentIntentId,
+      status: payment.status,
+      amount: payment.amount,
+      fixed: false,
+    };
+
+    if (fix) {
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        {
+          $set: {
+            reconciliation: {
+              status: "orphaned",
+              reason: "No matching PaymentIntent in Stripe",
+              checkedAt,
+            },
+          },
+        }
+      );
+      entry.fixed = true;
+    }
+
+    report.orphaned.push(entry);
+  }
+
+  return report;
+};
+
+module.exports = {
+  reconcilePayments,
+};
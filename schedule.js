@@ -0,0 +1,312 @@
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest schedule a class can have, also bounds how many sessions are expanded
+const MAX_SCHEDULE_DAYS = 730;
+
+const MAX_WEEKLY_SESSIONS = 14;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Parse a YYYY-MM-DD string into a UTC midnight timestamp, NaN when invalid
+const parseDate = (value) => {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) {
+    return NaN;
+  }
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !isNaN(time) && new Date(time).toISOString().startsWith(value)
+    ? time
+    : NaN;
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether a string is an absolute http(s) URL
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validate a class schedule, returns { error } or { schedule }
+const validateSchedule = (body) => {
+  const { startDate, endDate, timeZone, meetingLink, sessions } = body || {};
+
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+
+  if (isNaN(start) || isNaN(end)) {
+    return { error: "startDate and endDate must be dates as YYYY-MM-DD" };
+  }
+
+  if (end < start) {
+    return { error: "endDate cannot be before startDate" };
+  }
+
+  if ((end - start) / DAY_MS > MAX_SCHEDULE_DAYS) {
+    return {
+      error: `A schedule cannot span more than ${MAX_SCHEDULE_DAYS} days`,
+    };
+  }
+
+  if (!isValidTimeZone(timeZone)) {
+    return { error: "timeZone must be an IANA time zone such as Asia/Dhaka" };
+  }
+
+  if (meetingLink != null && meetingLink !== "" && !isHttpUrl(meetingLink)) {
+    return { error: "meetingLink must be an http(s) URL" };
+  }
+
+  if (
+    !Array.isArray(sessions) ||
+    sessions.length === 0 ||
+    sessions.length > MAX_WEEKLY_SESSIONS
+  ) {
+    return {
+      error: `sessions must list 1 to ${MAX_WEEKLY_SESSIONS} weekly sessions`,
+    };
+  }
+
+  const validatedSessions = [];
+
+  for (const session of sessions) {
+    const day =
+      typeof session?.day === "string" ? session.day.toLowerCase() : null;
+
+    if (!WEEKDAYS.includes(day)) {
+      return { error: `Session day must be one of: ${WEEKDAYS.join(", ")}` };
+    }
+
+    if (!TIME_PATTERN.test(session.startTime)) {
+      return { error: "Session startTime must be a time as HH:MM" };
+    }
+
+    const durationMinutes = Number(session.durationMinutes);
+    if (
+      !Number.isInteger(durationMinutes) ||
+      durationMinutes < 15 ||
+      durationMinutes > 480
+    ) {
+      return {
+        error: "Session durationMinutes must be between 15 and 480",
+      };
+    }
+
+    if (session.title != null && typeof session.title !== "string") {
+      return { error: "Session title must be a string" };
+    }
+
+    validatedSessions.push({
+      day,
+      startTime: session.startTime,
+      durationMinutes,
+      title: session.title?.trim() || null,
+    });
+  }
+
+  return {
+    schedule: {
+      startDate,
+      endDate,
+      timeZone,
+      meetingLink: meetingLink || null,
+      sessions: validatedSessions,
+    },
+  };
+};
+
+// Offset of a time zone from UTC in milliseconds at the given instant
+const getTimeZoneOffset = (timeZone, timestamp) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(new Date(timestamp))
+      .map((part) => [part.type, part.value])
+  );
+
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Convert a wall clock time in a time zone to a UTC timestamp, the offset is
+// looked up a second time so sessions right after a DST change land correctly
+const zonedTimeToUtc = (dayTimestamp, time, timeZone) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const wallClock = dayTimestamp + (hours * 60 + minutes) * 60 * 1000;
+  const firstGuess = wallClock - getTimeZoneOffset(timeZone, wallClock);
+  return wallClock - getTimeZoneOffset(timeZone, firstGuess);
+};
+
+// Expand the weekly sessions of a class into dated occurrences that overlap
+// the [from, to) range, sorted by start time
+const expandSessions = (classData, from, to) => {
+  const { schedule } = classData;
+
+  if (!schedule) {
+    return [];
+  }
+
+  const firstDay = parseDate(schedule.startDate);
+  const lastDay = parseDate(schedule.endDate);
+  const occurrences = [];
+
+  // Sessions start on their local day, which is at most a day away from UTC
+  const rangeStart = Math.max(firstDay, from.getTime() - 2 * DAY_MS);
+  const rangeEnd = Math.min(lastDay, to.getTime() + DAY_MS);
+
+  for (
+    let day = firstDay + Math.ceil((rangeStart - firstDay) / DAY_MS) * DAY_MS;
+    day <= rangeEnd;
+    day += DAY_MS
+  ) {
+    const weekday = WEEKDAYS[new Date(day).getUTCDay()];
+
+    schedule.sessions
+      .filter((session) => session.day === weekday)
+      .forEach((session) => {
+        const start = zonedTimeToUtc(day, session.startTime, schedule.timeZone);
+        const end = start + session.durationMinutes * 60 * 1000;
+
+        if (end > from.getTime() && start < to.getTime()) {
+          occurrences.push({
+            classId: classData._id.toString(),
+            classTitle: classData.title,
+            title: session.title || classData.title,
+            start: new Date(start),
+            end: new Date(end),
+            timeZone: schedule.timeZone,
+            meetingLink: schedule.meetingLink,
+          });
+        }
+      });
+  }
+
+  return occurrences.sort((a, b) => a.start - b.start);
+};
+
+// The whole span of a schedule, used when a feed lists every session
+const scheduleRange = (schedule) => ({
+  from: new Date(parseDate(schedule.startDate) - DAY_MS),
+  to: new Date(parseDate(schedule.endDate) + 2 * DAY_MS),
+});
+
+// Escape a TEXT value as defined by RFC 5545
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Fold content lines longer than 75 octets
+const foldLine = (line) => {
+  const chunks = [];
+  let current = "";
+
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = "";
+    }
+    current += char;
+  }
+
+  chunks.push(current);
+  return chunks.join("\r\n ");
+};
+
+const formatIcsDate = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Build an iCalendar document from session occurrences, times are written in
+// UTC so calendar apps need no VTIMEZONE definitions
+const buildCalendar = (name, occurrences, { includeMeetingLinks = false }) => {
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//EduManage//Class Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  occurrences.forEach((occurrence) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${occurrence.classId}-${occurrence.start.getTime()}@edumanage`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(occurrence.start)}`,
+      `DTEND:${formatIcsDate(occurrence.end)}`,
+      `SUMMARY:${escapeText(occurrence.title)}`
+    );
+
+    if (occurrence.title !== occurrence.classTitle) {
+      lines.push(`DESCRIPTION:${escapeText(occurrence.classTitle)}`);
+    }
+
+    if (includeMeetingLinks && occurrence.meetingLink) {
+      lines.push(
+        `LOCATION:${escapeText(occurrence.meetingLink)}`,
+        `URL:${occurrence.meetingLink}`
+      );
+    }
+
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  WEEKDAYS,
+  validateSchedule,
+  expandSessions,
+  scheduleRange,
+  buildCalendar,
+  isHttpUrl,
+};
@@ -0,0 +1,133 @@
+// Flag payments recorded by the old POST /payments endpoint for
+// reconciliation. That endpoint stored whatever transactionId the client
+// sent without asking Stripe, so none of those payments are verified.
+//
+//   npm run payments:flag-legacy            flag the payments
+//   npm run payments:flag-legacy -- --dry-run  only count them
+//   npm run payments:flag-legacy -- --fix-duplicates
+//                                           also resolve duplicate
+//                                           transaction IDs
+//
+// Running it again only flags payments that were not flagged before.
+// Duplicate transactionId values are always reported since they keep the
+// unique transactionId index from being built. With --fix-duplicates the
+// oldest payment keeps the transaction ID and the others move it to
+// duplicateTransactionId and are flagged for reconciliation.
+require("dotenv").config();
+const { MongoClient, ServerApiVersion } = require("mongodb");
+
+// Payments written by POST /payments before it verified transactions are the
+// only ones without a source
+const LEGACY_PAYMENT_FILTER = {
+  source: { $exists: false },
+  stripePaymentIntentId: { $exists: false },
+};
+
+// Transaction IDs recorded on more than one payment, oldest payment first
+const findDuplicateTransactions = (paymentsCollection) =>
+  paymentsCollection
+    .aggregate([
+      { $match: { transactionId: { $type: "string" } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: "$transactionId",
+          paymentIds: { $push: "$_id" },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ])
+    .toArray();
+
+// Keep the transaction ID on the oldest payment of each duplicate group
+const resolveDuplicateTransactions = async (paymentsCollection, duplicates) => {
+  let resolved = 0;
+
+  for (const { _id: transactionId, paymentIds } of duplicates) {
+    const result = await paymentsCollection.updateMany(
+      { _id: { $in: paymentIds.slice(1) } },
+      {
+        $set: {
+          duplicateTransactionId: transactionId,
+          reconciliation: {
+            status: "pending",
+            reason: "Duplicate of another payment's transaction ID",
+            flaggedAt: new Date(),
+          },
+        },
+        $unset: { transactionId: "" },
+      }
+    );
+    resolved += result.modifiedCount;
+  }
+
+  return resolved;
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  const fixDuplicates = process.argv.includes("--fix-duplicates");
+
+  const client = new MongoClient(process.env.MONGO_URI, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  try {
+    const paymentsCollection = client.db("edu-manage").collection("payments");
+
+    const duplicates = await findDuplicateTransactions(paymentsCollection);
+
+    duplicates.forEach(({ _id: transactionId, paymentIds }) =>
+      console.log(
+        `Transaction ${transactionId} is recorded on ${
+          paymentIds.length
+        } payments: ${paymentIds.join(", ")}`
+      )
+    );
+
+    if (duplicates.length && !dryRun && fixDuplicates) {
+      const resolved = await resolveDuplicateTransactions(
+        paymentsCollection,
+        duplicates
+      );
+      console.log(`${resolved} duplicate payment(s) moved and flagged`);
+    } else if (duplicates.length) {
+      console.log(
+        `${duplicates.length} duplicate transaction ID(s), run with --fix-duplicates to resolve them`
+      );
+    }
+
+    if (dryRun) {
+      const count = await paymentsCollection.countDocuments(
+        LEGACY_PAYMENT_FILTER
+      );
+      console.log(`${count} legacy payment(s) would be flagged`);
+      return;
+    }
+
+    const result = await paymentsCollection.updateMany(LEGACY_PAYMENT_FILTER, {
+      $set: {
+        source: "legacy_client_reported",
+        reconciliation: {
+          status: "pending",
+          reason: "Recorded from a client-reported transaction ID",
+          flaggedAt: new Date(),
+        },
+      },
+    });
+
+    console.log(`${result.modifiedCount} legacy payment(s) flagged`);
+  } finally {
+    await client.close();
+  }
+};
+
+main().catch((error) => {
+  console.error("Error flagging legacy payments:", error);
+  process.exit(1);
+});
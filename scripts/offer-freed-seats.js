@@ -0,0 +1,52 @@
+// Hand seats from lapsed waitlist offers and checkout holds on to the next
+// students on the waitlist, meant to run from cron every few minutes.
+// Requests to a class do the same, this covers classes nobody touches.
+//
+//   npm run waitlists:offer-seats
+require("dotenv").config();
+const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
+const { createEnrollment } = require("../enrollment");
+
+const main = async () => {
+  const client = new MongoClient(process.env.MONGO_URI, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  try {
+    const database = client.db("edu-manage");
+    const { offerFreedSeats } = createEnrollment(database);
+
+    // Classes with a lapsed offer or students waiting for a seat that an
+    // expired checkout hold may have freed
+    const classIds = await database
+      .collection("waitlists")
+      .distinct("classId", {
+        $or: [
+          { status: "offered", holdExpiresAt: { $lte: new Date() } },
+          { status: "waiting" },
+        ],
+      });
+
+    let checked = 0;
+    for (const classId of classIds) {
+      if (!ObjectId.isValid(classId)) {
+        continue;
+      }
+      await offerFreedSeats(classId);
+      checked++;
+    }
+
+    console.log(`Offered freed seats in ${checked} class(es)`);
+  } finally {
+    await client.close();
+  }
+};
+
+main().catch((error) => {
+  console.error("Error offering freed seats:", error);
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+// Reconcile the payments collection with the PaymentIntents in Stripe,
+// meant to run from cron. The report is printed and stored in the
+// reconciliation-reports collection next to the ones run by admins.
+//
+//   npm run payments:reconcile -- --from=2026-01-01 --to=2026-02-01
+//   npm run payments:reconcile -- --fix
+//
+// Options:
+//   --from, --to   range of PaymentIntent creation dates (default the last day)
+//   --fix          record missing payments the same way the server does, with
+//                  the webhook's checks, and correct amounts from Stripe
+//   --stripe-stub  JSON file of PaymentIntents to use instead of Stripe, its
+//                  {{classId}} and {{studentUid}} placeholders are filled from
+//                  --class-id and --student-uid
+require("dotenv").config();
+const fs = require("fs");
+const { MongoClient, ServerApiVersion } = require("mongodb");
+const { reconcilePayments } = require("../reconciliation");
+const { createEnrollment } = require("../enrollment");
+
+const parseArgs = (argv) =>
+  Object.fromEntries(
+    argv.map((arg) => {
+      const [key, ...value] = arg.replace(/^--/, "").split("=");
+      return [key, value.length ? value.join("=") : true];
+    })
+  );
+
+// Minimal stand-in for the Stripe client serving PaymentIntents from a file
+const createStripeStub = (file, values) => {
+  const paymentIntents = JSON.parse(
+    fs
+      .readFileSync(file, "utf8")
+      .replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+        values[key] !== undefined ? values[key] : placeholder
+      )
+  );
+
+  return {
+    paymentIntents: {
+      list: async ({ created, limit, starting_after: startingAfter }) => {
+        const inRange = paymentIntents.filter(
+          (paymentIntent) =>
+            paymentIntent.created >= created.gte &&
+            paymentIntent.created < created.lt
+        );
+        const start = startingAfter
+          ? inRange.findIndex(({ id }) => id === startingAfter) + 1
+          : 0;
+        return {
+          data: inRange.slice(start, start + limit),
+          has_more: start + limit < inRange.length,
+        };
+      },
+      retrieve: async (id) => {
+        const paymentIntent = paymentIntents.find((item) => item.id === id);
+        if (!paymentIntent) {
+          throw Object.assign(new Error(`No such payment_intent: ${id}`), {
+            code: "resource_missing",
+          });
+        }
+        return paymentIntent;
+      },
+    },
+  };
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from
+    ? new Date(options.from)
+    : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    throw new Error("--from and --to must be dates with --from before --to");
+  }
+
+  const stripe = options["stripe-stub"]
+    ? createStripeStub(options["stripe-stub"], {
+        classId: options["class-id"],
+        studentUid: options["student-uid"],
+      })
+    : require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+  const client = new MongoClient(process.env.MONGO_URI, {
+    serverApi: {
+      version: ServerApiVersion.v1,
+      strict: true,
+      deprecationErrors: true,
+    },
+  });
+
+  try {
+    const database = client.db("edu-manage");
+
+    const report = await reconcilePayments({
+      stripe,
+      database,
+      from,
+      to,
+      fix: options.fix === true,
+      recordPayment: createEnrollment(database).recordReconciledPayment,
+    });
+
+    await database
+      .collection("reconciliation-reports")
+      .insertOne({ ...report, runBy: "cron", createdAt: new Date() });
+
+    console.log(JSON.stringify(report, null, 2));
+    console.log(
+      `${report.missing.length} missing, ${report.mismatched.length} mismatched, ${report.orphaned.length} orphaned`
+    );
+  } finally {
+    await client.close();
+  }
+};
+
+main().catch((error) => {
+  console.error("Error reconciling payments:", error);
+  process.exit(1);
+});
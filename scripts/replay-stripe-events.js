@@ -0,0 +1,110 @@
+// Replay Stripe webhook fixtures against a running server, signed with
+// STRIPE_WEBHOOK_SECRET the same way Stripe signs its deliveries
+//
+//   npm run stripe:replay -- payment_intent.succeeded \
+//     --class-id=<classId> --student-uid=<uid> --payment-intent=pi_123
+//
+// Options:
+//   --url             webhook URL (default http://localhost:$PORT/webhooks/stripe)
+//   --class-id        classId put in the event metadata
+//   --student-uid     studentUid put in the event metadata
+//   --payment-intent  PaymentIntent ID (default a new pi_fixture_* ID)
+//   --event-id        event ID (default a new evt_fixture_* ID)
+//   --repeat          deliver each event this many times, to check that
+//                     duplicate deliveries are ignored (default 1)
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const Stripe = require("stripe");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures", "stripe");
+
+const parseArgs = (argv) => {
+  const options = {};
+  const names = [];
+
+  argv.forEach((arg) => {
+    const match = arg.match(/^--([a-z-]+)=(.*)$/);
+    if (match) {
+      options[match[1]] = match[2];
+    } else {
+      names.push(arg);
+    }
+  });
+
+  return { options, names };
+};
+
+// Fill the {{placeholders}} of a fixture
+const loadFixture = (name, values) => {
+  const file = path.join(FIXTURES_DIR, `${name}.json`);
+  const template = fs.readFileSync(file, "utf8");
+  return JSON.parse(
+    template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+      values[key] !== undefined ? values[key] : placeholder
+    )
+  );
+};
+
+const main = async () => {
+  const { options, names } = parseArgs(process.argv.slice(2));
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new Error("STRIPE_WEBHOOK_SECRET must be set");
+  }
+
+  const available = fs
+    .readdirSync(FIXTURES_DIR)
+    .map((file) => path.basename(file, ".json"));
+
+  if (names.length === 0 || names.some((name) => !available.includes(name))) {
+    throw new Error(`Choose fixtures from: ${available.join(", ")}`);
+  }
+
+  const url =
+    options.url ||
+    `http://localhost:${process.env.PORT || 3000}/webhooks/stripe`;
+  const repeat = parseInt(options.repeat) || 1;
+  const values = {
+    classId: options["class-id"],
+    studentUid: options["student-uid"],
+    paymentIntentId:
+      options["payment-intent"] ||
+      `pi_fixture_${crypto.randomBytes(8).toString("hex")}`,
+  };
+
+  for (const name of names) {
+    const event = loadFixture(name, values);
+    event.id =
+      options["event-id"] ||
+      `evt_fixture_${crypto.randomBytes(8).toString("hex")}`;
+    event.created = Math.floor(Date.now() / 1000);
+
+    const payload = JSON.stringify(event);
+
+    for (let attempt = 1; attempt <= repeat; attempt++) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Stripe-Signature": Stripe.webhooks.generateTestHeaderString({
+            payload,
+            secret,
+          }),
+        },
+        body: payload,
+      });
+
+      console.log(
+        `${name} (${event.id}) -> ${response.status} ${await response.text()}`
+      );
+    }
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});